@@ -7,8 +7,18 @@ const fileUpload = require('express-fileupload');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream, mkdirSync } = require('fs');
+const { PassThrough, Writable } = require('stream');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const os = require('os');
+const { EventEmitter } = require('events');
 const { Sequelize, DataTypes } = require('sequelize');
+
+// `node server.js export ...` runs an analytics export instead of the server, its
+// stdout carries only the exported data
+const CLI_COMMAND = process.argv[2];
+
 require('dotenv').config();
 
 const app = express();
@@ -39,8 +49,17 @@ app.use(cors({
     /^https:\/\/.*\.run\.app$/, // Allow other Cloud Run services
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Range', 'Accept-Ranges']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With', 'Range', 'Accept-Ranges',
+    // tus resumable upload protocol
+    'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata',
+    'X-API-Key', 'X-Session-Id',
+  ],
+  exposedHeaders: [
+    'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+    'Upload-Length', 'Upload-Offset', 'Upload-Expires', 'Upload-File-Id', 'Upload-File-Name',
+  ],
 }));
 
 app.use(express.json({ limit: '50mb' }));
@@ -58,29 +77,190 @@ app.use(fileUpload({
 }));
 
 // Enhanced rate limiting with different tiers
-const createRateLimit = (windowMs, max, message) => rateLimit({
+const createRateLimit = (windowMs, max, message, options = {}) => rateLimit({
   windowMs,
   max,
   message: { error: message },
   standardHeaders: true,
   legacyHeaders: false,
+  ...options,
 });
 
+// Adaptive streaming players fetch a playlist or segment every few seconds per viewer
+const STREAMING_SEGMENT_ROUTES = [
+  /^\/files\/[^/]+\/(hls|dash)\/[^/]+\/[^/]+$/,
+];
+// Viewport-adaptive clients fetch one segment per visible tile plus audio (an 8x4 grid is ~5000 per 15 minutes)
+const TILE_SEGMENT_ROUTE = /^\/files\/[^/]+\/tiles\/.+$/;
+const SEGMENT_RATE_LIMIT = parseInt(process.env.SEGMENT_RATE_LIMIT) || 3000; // per IP per 15 minutes
+const TILE_SEGMENT_RATE_LIMIT = parseInt(process.env.TILE_SEGMENT_RATE_LIMIT) || 12000; // per IP per 15 minutes
+const isTileSegment = (req) => req.method === 'GET' && TILE_SEGMENT_ROUTE.test(req.path);
+const isStreamingSegment = (req) => isTileSegment(req) || STREAMING_SEGMENT_ROUTES.some(pattern => pattern.test(req.path));
+
 // Different rate limits for different endpoints
-const generalLimiter = createRateLimit(15 * 60 * 1000, 100, 'Too many requests');
+const generalLimiter = createRateLimit(15 * 60 * 1000, 100, 'Too many requests', {
+  // Resumable uploads send one request per chunk and segments are fetched continuously, both have their own limit
+  skip: (req) => req.path.startsWith('/files/tus') || isStreamingSegment(req),
+});
 const uploadLimiter = createRateLimit(60 * 60 * 1000, 10, 'Too many upload requests');
 const streamLimiter = createRateLimit(60 * 1000, 30, 'Too many streaming requests');
+const resumableUploadLimiter = createRateLimit(15 * 60 * 1000, 1000, 'Too many upload requests');
+const segmentLimiter = createRateLimit(15 * 60 * 1000, SEGMENT_RATE_LIMIT, 'Too many streaming requests', {
+  skip: (req) => !isStreamingSegment(req) || isTileSegment(req),
+});
+const tileSegmentLimiter = createRateLimit(15 * 60 * 1000, TILE_SEGMENT_RATE_LIMIT, 'Too many streaming requests', {
+  skip: (req) => !isTileSegment(req),
+});
 
 app.use('/files/upload', uploadLimiter);
 app.use('/files/stream', streamLimiter);
+app.use('/files/tus', resumableUploadLimiter);
+app.use(segmentLimiter);
+app.use(tileSegmentLimiter);
 app.use(generalLimiter);
 
-// Initialize Google Cloud Storage
-const storage = new Storage({
-  projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-});
-
-console.log('🔐 Using Cloud Run service account for authentication');
+// Adaptive streaming settings
+const KEYFRAME_INTERVAL_SECONDS = 2;
+const SEGMENT_DURATION_SECONDS = 6;
+const AUDIO_BITRATE_KBPS = 128;
+const HLS_PLAYLIST_NAME = 'index.m3u8';
+const DASH_MANIFEST_NAME = 'manifest.mpd';
+const VIDEO_CODEC_STRING = 'avc1.640033'; // H.264 High profile, level 5.1
+const AUDIO_CODEC_STRING = 'mp4a.40.2'; // AAC-LC
+const STREAMING_FORMATS = ['hls', 'dash'];
+
+// Stereoscopic 3D layouts: both eyes packed into one frame, the left/top eye first
+const STEREO_MODES = ['mono', 'top-bottom', 'left-right'];
+const STEREO_ANALYSIS_FRAMES = 4;
+const STEREO_ANALYSIS_SIZE = 64; // Frames are compared as 64x64 grayscale thumbnails
+const STEREO_MATCH_THRESHOLD = 0.9; // Correlation between the two halves that counts as two eyes
+
+// Google Spherical Video metadata written into renditions
+const SPHERICAL_PROJECTIONS = ['equirectangular', 'cubemap']; // Projections the V1/V2 boxes can describe
+const SPHERICAL_METADATA_SOURCE = 'DuoVR Server';
+const SPHERICAL_V1_UUID = Buffer.from('ffcc8263f8554a938814587a02521fdd', 'hex');
+
+// Projection conversion with ffmpeg's v360 filter
+const PROJECTION_TARGETS = ['equirectangular', 'cubemap', 'eac'];
+const V360_FORMATS = { equirectangular: 'e', cubemap: 'c3x2', eac: 'eac', fisheye: 'dfisheye' };
+const V360_STEREO_FORMATS = { mono: '2d', 'top-bottom': 'tb', 'left-right': 'sbs' };
+const FISHEYE_DEFAULT_FOV = 190; // Field of view of each lens on common dual-fisheye cameras
+const FISHEYE_FOV_RANGE = [180, 240];
+
+// Viewport-adaptive tiled streaming
+const TILE_DEFAULT_GRID = '8x4'; // 45° x 45° tiles
+const TILE_COLUMN_RANGE = [2, 16];
+const TILE_ROW_RANGE = [2, 8];
+const TILE_DEFAULT_QUALITIES = ['8K', '4K', '1080p'];
+const TILE_NAME_PATTERN = /^r\d+c\d+$/;
+
+// Thumbnails and poster frames, 360° videos are rendered as a flat perspective view
+const THUMBNAIL_DEFAULT_WIDTH = 1920;
+const THUMBNAIL_DEFAULT_HEIGHT = 1080;
+const THUMBNAIL_DEFAULT_FOV = 100; // Horizontal field of view in degrees
+const THUMBNAIL_FOV_RANGE = [30, 120];
+const THUMBNAIL_MAX_DIMENSION = 4096;
+const POSTER_PRESETS = {
+  square: { width: 1080, height: 1080 },
+  landscape: { width: 1920, height: 1080 },
+  hero: { width: 2560, height: 1080 },
+};
+const POSTER_NAME_PATTERN = /^[a-z0-9-]{1,32}$/;
+const MAX_POSTERS_PER_FILE = 10;
+
+// Transcoding queue settings
+const TRANSCODE_CONCURRENCY = parseInt(process.env.TRANSCODE_CONCURRENCY) || 1;
+const TRANSCODE_MAX_ATTEMPTS = parseInt(process.env.TRANSCODE_MAX_ATTEMPTS) || 3;
+const TRANSCODE_RETRY_DELAY_MS = parseInt(process.env.TRANSCODE_RETRY_DELAY_MS) || 30 * 1000;
+const TRANSCODE_POLL_INTERVAL_MS = 5 * 1000;
+const TRANSCODE_HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const TRANSCODE_STALE_AFTER_MS = 2 * 60 * 1000;
+const TRANSCODE_PROGRESS_INTERVAL_MS = 2 * 1000;
+const TRANSCODE_PROGRESS_SHARE = 0.9; // Encoding share of progress, the rest covers packaging and upload
+
+// Resumable upload (tus) settings
+const TUS_VERSION = '1.0.0';
+const TUS_MAX_SIZE = 8 * 1024 * 1024 * 1024; // 8GB, same as direct uploads
+const TUS_UPLOAD_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+// Session lifecycle settings
+const SESSION_IDLE_TIMEOUT_MS = (parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+const SESSION_HEARTBEAT_INTERVAL_SECONDS = 60;
+const SESSION_TOUCH_INTERVAL_MS = 30 * 1000; // Throttles lastActivity writes from analytics traffic
+const SESSION_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Device pairing settings (OAuth 2.0 device authorization style)
+const PAIRING_CODE_TTL_SECONDS = 10 * 60;
+const PAIRING_POLL_INTERVAL_SECONDS = 5;
+const DEVICE_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ'; // No vowels or look-alike characters
+
+// Co-watching room settings
+const WATCH_ROOM_SOCKET_PATH = '/rooms/ws';
+const WATCH_ROOM_CODE_LENGTH = 6;
+const WATCH_ROOM_MAX_MEMBERS = parseInt(process.env.WATCH_ROOM_MAX_MEMBERS) || 8;
+const WATCH_ROOM_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const WATCH_ROOM_MAX_CLOCK_SKEW_MS = 5 * 1000;
+
+// Batched analytics ingestion settings
+const ANALYTICS_MAX_BATCH_SIZE = 500;
+const ANALYTICS_MAX_EVENT_AGE_MS = 30 * 24 * 60 * 60 * 1000; // How long a headset may stay offline
+const ANALYTICS_MAX_CLOCK_DRIFT_MS = 5 * 60 * 1000;
+
+// Playback quality-of-experience events and the metadata each one must carry
+// ('?' marks optional fields)
+const QOE_EVENT_SCHEMAS = {
+  startup: { startupTimeMs: 'number' }, // Play pressed until first frame
+  stall: { durationMs: 'number' }, // Unexpected rebuffer, reported when playback resumes
+  buffering: { durationMs: 'number', cause: 'string?' }, // Expected buffering after a seek or switch
+  dropped_frames: { droppedFrames: 'number', totalFrames: 'number' },
+  bitrate_switch: { fromQuality: 'string', toQuality: 'string', bitrateKbps: 'number?', reason: 'string?' },
+  playback_progress: { playedMs: 'number', bitrateKbps: 'number?' }, // Time played at `quality` since the last report
+};
+
+// Retention settings
+const RETENTION_EVENT_TYPES = ['view_start', 'view_end', 'pause', 'resume', 'seek', 'playback_progress'];
+const RETENTION_COMPLETION_THRESHOLD = 0.95; // Share of the video that counts as finished
+const RETENTION_MAX_EVENTS = 500000; // Per request
+const RETENTION_MAX_INFERRED_DURATION = 12 * 60 * 60; // Seconds, caps client-reported positions when the duration is unknown
+
+// Catalog search
+const CATALOG_DEFAULT_PAGE_SIZE = 20;
+const CATALOG_MAX_PAGE_SIZE = 100;
+// Titles and file names are split on punctuation so "alps_sunrise-8k.mp4" matches "sunrise".
+// Searches must use this exact expression for Postgres to pick up the matching GIN index.
+const CATALOG_SEARCH_WORDS = column => `regexp_replace(coalesce("${column}", ''), '[^[:alnum:]]+', ' ', 'g')`;
+const CATALOG_SEARCH_VECTOR = `to_tsvector('simple', ${CATALOG_SEARCH_WORDS('title')} || ' ' || ${CATALOG_SEARCH_WORDS('originalFileName')} || ' ' || ${CATALOG_SEARCH_WORDS('fileName')})`;
+
+// Metadata edits
+const FILE_TITLE_MAX_LENGTH = 255;
+const FILE_MAX_TAGS = 32;
+const FILE_TAG_MAX_LENGTH = 50;
+
+// Continue watching
+const POSITION_EVENT_TYPES = ['pause', 'seek', 'view_end', 'playback_progress'];
+const CONTINUE_WATCHING_MIN_SECONDS = 10; // Shorter visits aren't worth resuming
+
+// Time-series reporting and hourly rollups
+const TIMESERIES_GRANULARITIES = ['hour', 'day', 'week'];
+const TIMESERIES_BREAKDOWNS = ['platform', 'deviceType', 'quality', 'tag'];
+const TIMESERIES_MAX_POINTS = 2000;
+const ANALYTICS_ROLLUP_INTERVAL_MS = 5 * 60 * 1000;
+const ANALYTICS_ROLLUP_RECOMPUTE_HOURS = 6; // Viewings are attributed to the hour they started
+const ANALYTICS_ROLLUP_BACKFILL_DAYS = 90;
+
+// Analytics export settings
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_BATCH_SIZE = 1000; // Rows per query
+const EXPORT_DEFAULT_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Head-orientation heatmap settings
+const HEATMAP_DEFAULT_FOV = 100; // Degrees, roughly a Quest-class headset
+const HEATMAP_MAX_BATCH_SIZE = 1000;
+const HEATMAP_MAX_SAMPLES = 200000; // Per heatmap request
+const HEATMAP_RESOLUTIONS = [5, 10, 15, 20, 30]; // Cell size in degrees, divides 180 evenly
+const HEATMAP_MIN_BUCKET_SECONDS = 1;
+const HEATMAP_MAX_BUCKETS = 500; // Grids per JSON response
 
 // Enhanced database models
 let sequelize = null;
@@ -88,6 +268,13 @@ let FileMetadata = null;
 let VideoAnalytics = null;
 let TranscodingJob = null;
 let UserSession = null;
+let ResumableUpload = null;
+let DevicePairing = null;
+let OrientationSample = null;
+let AnalyticsHourlyRollup = null;
+let AnalyticsHourlyViewer = null;
+let AnalyticsDirtyHour = null;
+let PlaybackPosition = null;
 
 if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_HOST !== 'your-db-host') {
   sequelize = new Sequelize({
@@ -100,7 +287,8 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
     dialectOptions: {
       socketPath: process.env.DB_SOCKET_PATH,
     },
-    logging: process.env.NODE_ENV === 'development' ? console.log : false,
+    // Exports write data to stdout, so their queries are logged to stderr
+    logging: process.env.NODE_ENV !== 'development' ? false : CLI_COMMAND === 'export' ? console.error : console.log,
     pool: {
       max: 5,
       min: 0,
@@ -124,6 +312,9 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
       type: DataTypes.STRING,
       allowNull: false,
     },
+    title: {
+      type: DataTypes.STRING, // Display title set by the owner, falls back to originalFileName
+    },
     bucketName: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -161,6 +352,20 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
       type: DataTypes.ENUM('equirectangular', 'cubemap', 'fisheye'),
       allowNull: true,
     },
+    stereoMode: {
+      type: DataTypes.ENUM(...STEREO_MODES),
+      defaultValue: 'mono',
+    },
+    sphericalMetadata: {
+      type: DataTypes.JSON, // Spherical metadata found in the upload: projection, stereoMode, yaw, pitch, roll
+    },
+    tiling: {
+      type: DataTypes.JSON, // Tiled renditions: { grid, directory, qualities: { '4K': { tileWidth, ... } }, audio }
+    },
+    posters: {
+      type: DataTypes.JSON, // Named poster frames: { square: { path, width, height, yaw, pitch, fov, timeOffset } }
+      defaultValue: {},
+    },
     thumbnailPath: {
       type: DataTypes.STRING,
     },
@@ -190,6 +395,10 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
       type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
       defaultValue: 'pending',
     },
+    requestedQualities: {
+      type: DataTypes.ARRAY(DataTypes.STRING), // Quality ladder to transcode once processing runs
+      defaultValue: [],
+    },
     viewCount: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
@@ -197,6 +406,11 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
     lastViewed: {
       type: DataTypes.DATE,
     },
+  }, {
+    paranoid: true, // Deleted videos keep a tombstone row while their analytics are retained
+    indexes: [
+      { name: 'file_metadata_search', using: 'gin', fields: [Sequelize.literal(`(${CATALOG_SEARCH_VECTOR})`)] },
+    ],
   });
 
   // Video Analytics Model
@@ -218,11 +432,16 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
       type: DataTypes.STRING,
       allowNull: false,
     },
+    eventId: {
+      type: DataTypes.STRING, // Client idempotency key for batched events
+      unique: true,
+    },
     userId: {
       type: DataTypes.STRING,
     },
     eventType: {
-      type: DataTypes.ENUM('view_start', 'view_end', 'pause', 'resume', 'seek', 'quality_change', 'error'),
+      type: DataTypes.ENUM('view_start', 'view_end', 'pause', 'resume', 'seek', 'quality_change', 'error', 'room_join', 'room_leave',
+        'startup', 'stall', 'buffering', 'dropped_frames', 'bitrate_switch', 'playback_progress'),
       allowNull: false,
     },
     timestamp: {
@@ -263,12 +482,44 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
       }
     },
     status: {
-      type: DataTypes.ENUM('queued', 'processing', 'completed', 'failed'),
+      type: DataTypes.ENUM('queued', 'processing', 'completed', 'failed', 'cancelled'),
       defaultValue: 'queued',
     },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: TRANSCODE_MAX_ATTEMPTS,
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE, // Earliest time a queued job may be picked up (retry backoff)
+      defaultValue: DataTypes.NOW,
+    },
+    workerId: {
+      type: DataTypes.STRING, // Instance currently processing the job
+    },
+    heartbeatAt: {
+      type: DataTypes.DATE,
+    },
     targetQuality: {
       type: DataTypes.STRING, // e.g., '1080p', '720p', '480p'
     },
+    targetProjection: {
+      type: DataTypes.STRING, // Projection to convert to, null keeps the source projection
+    },
+    projectionOptions: {
+      type: DataTypes.JSON, // e.g. { fisheyeFov: 190 }
+      defaultValue: {},
+    },
+    tileGrid: {
+      type: DataTypes.STRING, // e.g. '8x4' for a tiled rendition, null for a regular one
+    },
+    outputFormats: {
+      type: DataTypes.ARRAY(DataTypes.STRING), // Adaptive streaming packages, e.g. ['hls', 'dash']
+      defaultValue: STREAMING_FORMATS,
+    },
     outputPath: {
       type: DataTypes.STRING,
     },
@@ -276,6 +527,12 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
       type: DataTypes.FLOAT,
       defaultValue: 0,
     },
+    fps: {
+      type: DataTypes.FLOAT, // Current encoding speed in frames per second
+    },
+    etaSeconds: {
+      type: DataTypes.INTEGER, // Estimated time until encoding finishes
+    },
     errorMessage: {
       type: DataTypes.TEXT,
     },
@@ -311,6 +568,15 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
     platform: {
       type: DataTypes.STRING, // 'unity', 'web', 'oculus'
     },
+    deviceModel: {
+      type: DataTypes.STRING, // e.g. 'Quest 3'
+    },
+    osVersion: {
+      type: DataTypes.STRING,
+    },
+    appVersion: {
+      type: DataTypes.STRING,
+    },
     startTime: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
@@ -323,6 +589,273 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
       type: DataTypes.BOOLEAN,
       defaultValue: true,
     },
+    endTime: {
+      type: DataTypes.DATE,
+    },
+    endReason: {
+      type: DataTypes.STRING, // 'ended' by the client or 'expired' by the sweeper
+    },
+  });
+
+  // Resumable Upload Model (tus protocol state)
+  ResumableUpload = sequelize.define('ResumableUpload', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    destination: {
+      type: DataTypes.STRING, // Final object path once the upload completes
+      allowNull: false,
+    },
+    originalFileName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    mimeType: {
+      type: DataTypes.STRING,
+    },
+    uploadLength: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+    },
+    uploadOffset: {
+      type: DataTypes.BIGINT,
+      defaultValue: 0,
+    },
+    parts: {
+      type: DataTypes.JSON, // [{ path, offset, size }] stored chunk objects in upload order
+      defaultValue: [],
+    },
+    metadata: {
+      type: DataTypes.JSON, // Decoded Upload-Metadata (tags, quality, userId)
+      defaultValue: {},
+    },
+    userId: {
+      type: DataTypes.STRING,
+    },
+    status: {
+      type: DataTypes.ENUM('uploading', 'completing', 'completed', 'failed'),
+      defaultValue: 'uploading',
+    },
+    fileId: {
+      type: DataTypes.UUID,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+    },
+  });
+
+  // Orientation Sample Model (where viewers look in 360 videos)
+  OrientationSample = sequelize.define('OrientationSample', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    fileId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: FileMetadata,
+        key: 'id'
+      }
+    },
+    sessionId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.STRING,
+    },
+    videoTime: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+    },
+    yaw: {
+      type: DataTypes.FLOAT, // Degrees, 0 = center of the equirectangular frame
+      allowNull: false,
+    },
+    pitch: {
+      type: DataTypes.FLOAT, // Degrees, positive looks up
+      allowNull: false,
+    },
+    fov: {
+      type: DataTypes.FLOAT, // Horizontal field of view in degrees
+      allowNull: false,
+    },
+  }, {
+    indexes: [{ fields: ['fileId', 'videoTime'] }],
+  });
+
+  // Hourly analytics rollups (views and watch time per file and dimension)
+  const rollupDimensions = {
+    bucketStart: {
+      type: DataTypes.DATE, // Start of the UTC hour
+      allowNull: false,
+    },
+    fileId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    platform: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    deviceType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    quality: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+  };
+
+  AnalyticsHourlyRollup = sequelize.define('AnalyticsHourlyRollup', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    ...rollupDimensions,
+    views: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+    watchTimeSeconds: {
+      type: DataTypes.FLOAT,
+      defaultValue: 0,
+    },
+  }, {
+    indexes: [
+      { unique: true, fields: ['bucketStart', 'fileId', 'platform', 'deviceType', 'quality'] },
+    ],
+  });
+
+  // One row per session and hour so unique viewers can be counted over any range
+  AnalyticsHourlyViewer = sequelize.define('AnalyticsHourlyViewer', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    ...rollupDimensions,
+    sessionId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+  }, {
+    indexes: [
+      { fields: ['bucketStart'] },
+      { fields: ['fileId', 'bucketStart'] },
+    ],
+  });
+
+  // Hours outside the regular recompute window that received late events (offline headsets)
+  AnalyticsDirtyHour = sequelize.define('AnalyticsDirtyHour', {
+    bucketStart: {
+      type: DataTypes.DATE,
+      primaryKey: true,
+    },
+  });
+
+  // Playback Position Model (resume points per user and file)
+  PlaybackPosition = sequelize.define('PlaybackPosition', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    fileId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: FileMetadata,
+        key: 'id'
+      }
+    },
+    position: {
+      type: DataTypes.FLOAT, // Seconds into the video
+      allowNull: false,
+    },
+    duration: {
+      type: DataTypes.FLOAT,
+    },
+    completed: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+    observedAt: {
+      type: DataTypes.DATE, // When the client was at this position
+      allowNull: false,
+    },
+    sessionId: {
+      type: DataTypes.STRING,
+    },
+    deviceType: {
+      type: DataTypes.STRING,
+    },
+    platform: {
+      type: DataTypes.STRING,
+    },
+  }, {
+    indexes: [
+      { unique: true, fields: ['userId', 'fileId'] },
+      { fields: ['userId', 'observedAt'] },
+    ],
+  });
+
+  // Device Pairing Model
+  DevicePairing = sequelize.define('DevicePairing', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    deviceCodeHash: {
+      type: DataTypes.STRING, // SHA-256 of the secret the headset polls with
+      allowNull: false,
+      unique: true,
+    },
+    userCode: {
+      type: DataTypes.STRING, // Short code the user types on the pairing page
+      allowNull: false,
+    },
+    deviceType: {
+      type: DataTypes.STRING,
+    },
+    platform: {
+      type: DataTypes.STRING,
+    },
+    deviceName: {
+      type: DataTypes.STRING,
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'denied', 'completed'),
+      defaultValue: 'pending',
+    },
+    userId: {
+      type: DataTypes.STRING, // User who approved the pairing
+    },
+    sessionId: {
+      type: DataTypes.STRING, // UserSession created for the headset
+    },
+    pollInterval: {
+      type: DataTypes.INTEGER,
+      defaultValue: PAIRING_POLL_INTERVAL_SECONDS,
+    },
+    lastPolledAt: {
+      type: DataTypes.DATE,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
   });
 
   // Set up associations
@@ -331,33 +864,120 @@ if (process.env.DB_HOST && process.env.DB_HOST.trim() !== '' && process.env.DB_H
   
   FileMetadata.hasMany(TranscodingJob, { foreignKey: 'fileId' });
   TranscodingJob.belongsTo(FileMetadata, { foreignKey: 'fileId' });
+
+  FileMetadata.hasMany(OrientationSample, { foreignKey: 'fileId' });
+  OrientationSample.belongsTo(FileMetadata, { foreignKey: 'fileId' });
+
+  FileMetadata.hasMany(PlaybackPosition, { foreignKey: 'fileId' });
+  PlaybackPosition.belongsTo(FileMetadata, { foreignKey: 'fileId' });
 }
 
-// Enhanced Cloud Storage Service
-class CloudStorageService {
-  constructor(bucketName) {
-    this.bucketName = bucketName;
-    this.bucket = storage.bucket(bucketName);
+// Storage drivers
+// Every backend implements the same interface so routes and background jobs never
+// talk to a specific provider. STORAGE_DRIVER picks one of 'gcs' (default), 's3' or 'local'.
+class StorageDriver {
+  get driverName() {
+    throw new Error('Storage driver must define driverName');
   }
 
   async uploadFile(file, destination, metadata = {}) {
-    try {
-      console.log(`📤 Starting upload: ${file.name} -> ${destination}`);
-      
-      const blob = this.bucket.file(destination);
-      const blobStream = blob.createWriteStream({
-        metadata: {
-          contentType: file.mimetype,
-          ...metadata,
-        },
-        resumable: true,
-        chunkSize: 32 * 1024 * 1024, // 32MB chunks for large files
-      });
+    throw new Error(`${this.driverName} driver does not implement uploadFile`);
+  }
 
-      return new Promise((resolve, reject) => {
-        blobStream.on('error', (error) => {
-          console.error(`❌ Upload failed for ${destination}:`, error);
-          reject(error);
+  async generateSignedUrl(fileName, options = {}) {
+    throw new Error(`${this.driverName} driver does not implement generateSignedUrl`);
+  }
+
+  async getFileMetadata(fileName) {
+    throw new Error(`${this.driverName} driver does not implement getFileMetadata`);
+  }
+
+  async fileExists(fileName) {
+    throw new Error(`${this.driverName} driver does not implement fileExists`);
+  }
+
+  async listFiles(prefix = '', options = {}) {
+    throw new Error(`${this.driverName} driver does not implement listFiles`);
+  }
+
+  async deleteFile(fileName) {
+    throw new Error(`${this.driverName} driver does not implement deleteFile`);
+  }
+
+  async streamFile(fileName, range = null) {
+    throw new Error(`${this.driverName} driver does not implement streamFile`);
+  }
+
+  createWriteStream(destination, options = {}) {
+    throw new Error(`${this.driverName} driver does not implement createWriteStream`);
+  }
+
+  // Input that ffmpeg can open directly: a signed URL for remote backends
+  async getReadableSource(fileName, options = {}) {
+    return this.generateSignedUrl(fileName, {
+      action: 'read',
+      expiresInMinutes: options.expiresInMinutes || 60,
+    });
+  }
+
+  // Concatenate objects into one by streaming them through this instance
+  async composeFiles(sources, destination, contentType) {
+    const writeStream = this.createWriteStream(destination, { contentType });
+    const finished = new Promise((resolve, reject) => {
+      writeStream.on('finish', resolve);
+      writeStream.on('error', reject);
+    });
+
+    for (const source of sources) {
+      const readStream = await this.streamFile(source);
+      await new Promise((resolve, reject) => {
+        readStream.on('end', resolve);
+        readStream.on('error', reject);
+        readStream.pipe(writeStream, { end: false });
+      });
+    }
+
+    writeStream.end();
+    await finished;
+    return destination;
+  }
+}
+
+// Google Cloud Storage driver
+class GcsStorageDriver extends StorageDriver {
+  constructor(bucketName) {
+    super();
+    this.bucketName = bucketName;
+    this.storage = new Storage({
+      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
+    });
+    this.bucket = this.storage.bucket(bucketName);
+
+    console.log('🔐 Using Cloud Run service account for authentication');
+  }
+
+  get driverName() {
+    return 'gcs';
+  }
+
+  async uploadFile(file, destination, metadata = {}) {
+    try {
+      console.log(`📤 Starting upload: ${file.name} -> ${destination}`);
+      
+      const blob = this.bucket.file(destination);
+      const blobStream = blob.createWriteStream({
+        metadata: {
+          contentType: file.mimetype,
+          ...metadata,
+        },
+        resumable: true,
+        chunkSize: 32 * 1024 * 1024, // 32MB chunks for large files
+      });
+
+      return new Promise((resolve, reject) => {
+        blobStream.on('error', (error) => {
+          console.error(`❌ Upload failed for ${destination}:`, error);
+          reject(error);
         });
         
         blobStream.on('finish', async () => {
@@ -384,12 +1004,13 @@ class CloudStorageService {
   async generateSignedUrl(fileName, options = {}) {
     try {
       const file = this.bucket.file(fileName);
+      const { expiresInMinutes, ...gcsOptions } = options;
       
       const signedUrlOptions = {
         version: 'v4',
         action: options.action || 'read',
-        expires: Date.now() + (options.expiresInMinutes || 60) * 60 * 1000,
-        ...options,
+        expires: Date.now() + (expiresInMinutes || 60) * 60 * 1000,
+        ...gcsOptions,
       };
 
       const [signedUrl] = await file.getSignedUrl(signedUrlOptions);
@@ -446,6 +1067,45 @@ class CloudStorageService {
     }
   }
 
+  createWriteStream(destination, options = {}) {
+    return this.bucket.file(destination).createWriteStream({
+      metadata: {
+        contentType: options.contentType || 'application/octet-stream',
+      },
+      resumable: options.resumable !== false,
+    });
+  }
+
+  async composeFiles(sources, destination, contentType) {
+    // Cloud Storage composes at most 32 objects per request, so merge in rounds
+    const maxSources = 32;
+    let current = sources;
+    const intermediates = [];
+
+    try {
+      while (current.length > maxSources) {
+        const next = [];
+        for (let i = 0; i < current.length; i += maxSources) {
+          const group = current.slice(i, i + maxSources);
+          const intermediate = `${destination}.compose-${intermediates.length}`;
+          await this.bucket.combine(group.map(name => this.bucket.file(name)), this.bucket.file(intermediate));
+          intermediates.push(intermediate);
+          next.push(intermediate);
+        }
+        current = next;
+      }
+
+      const target = this.bucket.file(destination);
+      await this.bucket.combine(current.map(name => this.bucket.file(name)), target);
+      if (contentType) {
+        await target.setMetadata({ contentType });
+      }
+      return destination;
+    } finally {
+      await Promise.all(intermediates.map(name => this.bucket.file(name).delete().catch(() => {})));
+    }
+  }
+
   async streamFile(fileName, range = null) {
     try {
       const file = this.bucket.file(fileName);
@@ -463,6 +1123,361 @@ class CloudStorageService {
   }
 }
 
+// S3-compatible driver (AWS S3, MinIO, Ceph...)
+class S3StorageDriver extends StorageDriver {
+  constructor(bucketName) {
+    super();
+    // Only needed when STORAGE_DRIVER=s3, so GCS deployments don't have to install the AWS SDK
+    const s3 = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+    const { Upload } = require('@aws-sdk/lib-storage');
+
+    this.s3 = s3;
+    this.presign = getSignedUrl;
+    this.Upload = Upload;
+    this.bucketName = bucketName;
+    this.client = new s3.S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', // Required by MinIO
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      } : undefined,
+    });
+
+    console.log(`🔐 Using S3-compatible storage${process.env.S3_ENDPOINT ? ` at ${process.env.S3_ENDPOINT}` : ''}`);
+  }
+
+  get driverName() {
+    return 's3';
+  }
+
+  async uploadFile(file, destination, metadata = {}) {
+    try {
+      console.log(`📤 Starting upload: ${file.name} -> ${destination}`);
+
+      await this.client.send(new this.s3.PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: destination,
+        Body: file.data,
+        ContentType: file.mimetype,
+        Metadata: Object.fromEntries(Object.entries(metadata).map(([key, value]) => [key, String(value)])),
+      }));
+
+      console.log(`✅ Upload completed: ${destination}`);
+      return `File ${destination} uploaded successfully`;
+    } catch (error) {
+      console.error(`❌ Upload error for ${destination}:`, error);
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+  }
+
+  async generateSignedUrl(fileName, options = {}) {
+    try {
+      const params = { Bucket: this.bucketName, Key: fileName };
+      const command = options.action === 'write'
+        ? new this.s3.PutObjectCommand({ ...params, ContentType: options.contentType })
+        : new this.s3.GetObjectCommand(params);
+
+      return await this.presign(this.client, command, {
+        expiresIn: (options.expiresInMinutes || 60) * 60,
+      });
+    } catch (error) {
+      throw new Error(`Failed to generate signed URL: ${error.message}`);
+    }
+  }
+
+  async getFileMetadata(fileName) {
+    try {
+      const head = await this.client.send(new this.s3.HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: fileName,
+      }));
+      return {
+        size: head.ContentLength,
+        contentType: head.ContentType,
+        updated: head.LastModified?.toISOString(),
+        etag: head.ETag,
+      };
+    } catch (error) {
+      throw new Error(`Failed to get file metadata: ${error.message}`);
+    }
+  }
+
+  async fileExists(fileName) {
+    try {
+      await this.client.send(new this.s3.HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: fileName,
+      }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw new Error(`Failed to check file existence: ${error.message}`);
+    }
+  }
+
+  async listFiles(prefix = '', options = {}) {
+    try {
+      const result = await this.client.send(new this.s3.ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix || undefined,
+        MaxKeys: options.limit || 100,
+        ContinuationToken: options.pageToken,
+      }));
+      return (result.Contents || []).map(object => ({
+        name: object.Key,
+        size: object.Size,
+        updated: object.LastModified?.toISOString(),
+        contentType: getContentType(object.Key),
+        etag: object.ETag,
+      }));
+    } catch (error) {
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+  }
+
+  async deleteFile(fileName) {
+    try {
+      await this.client.send(new this.s3.DeleteObjectCommand({
+        Bucket: this.bucketName,
+        Key: fileName,
+      }));
+      return `File ${fileName} deleted successfully`;
+    } catch (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  async streamFile(fileName, range = null) {
+    try {
+      const result = await this.client.send(new this.s3.GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: fileName,
+        Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+      }));
+      return result.Body;
+    } catch (error) {
+      throw new Error(`Failed to stream file: ${error.message}`);
+    }
+  }
+
+  createWriteStream(destination, options = {}) {
+    const body = new PassThrough();
+    const upload = new this.Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucketName,
+        Key: destination,
+        Body: body,
+        ContentType: options.contentType || 'application/octet-stream',
+      },
+    });
+    const done = upload.done();
+    done.catch(() => {}); // Surfaced through the writable's final() instead
+
+    // 'finish' must only fire once the multipart upload has been committed
+    return new Writable({
+      write(chunk, encoding, callback) {
+        if (body.write(chunk, encoding)) {
+          callback();
+        } else {
+          body.once('drain', callback);
+        }
+      },
+      final(callback) {
+        body.end();
+        done.then(() => callback(), callback);
+      },
+      destroy(error, callback) {
+        upload.abort().catch(() => {});
+        body.destroy();
+        callback(error);
+      },
+    });
+  }
+}
+
+// Local filesystem driver for on-prem venues and CI. Signed URLs are emulated with
+// HMAC-signed links to /storage/local, served by this app.
+class LocalStorageDriver extends StorageDriver {
+  constructor(rootDir) {
+    super();
+    this.rootDir = path.resolve(rootDir);
+    this.bucketName = 'local';
+    this.publicUrl = (process.env.LOCAL_STORAGE_PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+    this.signingSecret = process.env.LOCAL_STORAGE_SIGNING_SECRET;
+
+    if (!this.signingSecret) {
+      // Links stop working after a restart, which is fine for development
+      this.signingSecret = crypto.randomBytes(32).toString('hex');
+      console.log('⚠️ LOCAL_STORAGE_SIGNING_SECRET not set, using a random per-process secret');
+    }
+
+    mkdirSync(this.rootDir, { recursive: true });
+    console.log(`📁 Using local storage at ${this.rootDir}`);
+  }
+
+  get driverName() {
+    return 'local';
+  }
+
+  resolvePath(fileName) {
+    const resolved = path.resolve(this.rootDir, fileName);
+    if (resolved !== this.rootDir && !resolved.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid file name: ${fileName}`);
+    }
+    return resolved;
+  }
+
+  async uploadFile(file, destination, metadata = {}) {
+    try {
+      console.log(`📤 Starting upload: ${file.name} -> ${destination}`);
+
+      const filePath = this.resolvePath(destination);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      if (file.data && file.data.length > 0) {
+        await fs.writeFile(filePath, file.data);
+      } else if (file.tempFilePath) {
+        // express-fileupload keeps large uploads on disk instead of in memory
+        await fs.copyFile(file.tempFilePath, filePath);
+      } else {
+        await fs.writeFile(filePath, Buffer.alloc(0));
+      }
+
+      console.log(`✅ Upload completed: ${destination}`);
+      return `File ${destination} uploaded successfully`;
+    } catch (error) {
+      console.error(`❌ Upload error for ${destination}:`, error);
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+  }
+
+  sign(action, fileName, expires) {
+    return crypto.createHmac('sha256', this.signingSecret)
+      .update(`${action}\n${fileName}\n${expires}`)
+      .digest('hex');
+  }
+
+  verifySignature(action, fileName, expires, signature) {
+    if (!expires || !signature || parseInt(expires) < Date.now()) return false;
+
+    const expected = this.sign(action, fileName, expires);
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  async generateSignedUrl(fileName, options = {}) {
+    const action = options.action || 'read';
+    const expires = Date.now() + (options.expiresInMinutes || 60) * 60 * 1000;
+    const signature = this.sign(action, fileName, expires);
+    const encodedName = fileName.split('/').map(encodeURIComponent).join('/');
+
+    return `${this.publicUrl}/storage/local/${encodedName}?action=${action}&expires=${expires}&signature=${signature}`;
+  }
+
+  async getReadableSource(fileName) {
+    // ffmpeg reads local files directly, no need to go through HTTP
+    return this.resolvePath(fileName);
+  }
+
+  async getFileMetadata(fileName) {
+    try {
+      const stats = await fs.stat(this.resolvePath(fileName));
+      return {
+        size: stats.size,
+        contentType: getContentType(fileName),
+        updated: stats.mtime.toISOString(),
+        etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to get file metadata: ${error.message}`);
+    }
+  }
+
+  async fileExists(fileName) {
+    try {
+      const stats = await fs.stat(this.resolvePath(fileName));
+      return stats.isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw new Error(`Failed to check file existence: ${error.message}`);
+    }
+  }
+
+  async listFiles(prefix = '', options = {}) {
+    try {
+      const names = [];
+      const walk = async (dir) => {
+        const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+        for (const entry of entries) {
+          const fullPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(fullPath);
+          } else {
+            names.push(path.relative(this.rootDir, fullPath).split(path.sep).join('/'));
+          }
+        }
+      };
+      await walk(this.rootDir);
+
+      // pageToken is the last name of the previous page
+      const page = names
+        .filter(name => name.startsWith(prefix || '') && (!options.pageToken || name > options.pageToken))
+        .sort()
+        .slice(0, options.limit || 100);
+
+      return Promise.all(page.map(async (name) => ({
+        name,
+        ...(await this.getFileMetadata(name)),
+      })));
+    } catch (error) {
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+  }
+
+  async deleteFile(fileName) {
+    try {
+      await fs.unlink(this.resolvePath(fileName));
+      return `File ${fileName} deleted successfully`;
+    } catch (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  async streamFile(fileName, range = null) {
+    try {
+      const filePath = this.resolvePath(fileName);
+      await fs.access(filePath);
+      return createReadStream(filePath, range ? { start: range.start, end: range.end } : {});
+    } catch (error) {
+      throw new Error(`Failed to stream file: ${error.message}`);
+    }
+  }
+
+  createWriteStream(destination, options = {}) {
+    const filePath = this.resolvePath(destination);
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    return createWriteStream(filePath);
+  }
+}
+
+function createStorageDriver(driver) {
+  switch (driver) {
+    case 'gcs':
+      return new GcsStorageDriver(process.env.GOOGLE_CLOUD_BUCKET_NAME || 'duovr-files-bucket');
+    case 's3':
+      return new S3StorageDriver(process.env.S3_BUCKET || 'duovr-files-bucket');
+    case 'local':
+      return new LocalStorageDriver(process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'storage'));
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}. Use gcs, s3 or local`);
+  }
+}
+
 // Video Processing Service
 class VideoProcessingService {
   static async extractMetadata(filePath) {
@@ -492,51 +1507,333 @@ class VideoProcessingService {
           fileSize: parseInt(metadata.format.size) || 0,
           hasAudio: !!audioStream,
           audioCodec: audioStream?.codec_name,
+          stereoMode: this.parseStereoMode(videoStream),
+          spherical: SphericalMetadataService.parseSideData(videoStream),
         });
       });
     });
   }
 
-  static async generateThumbnail(inputPath, outputPath, timeOffset = '00:00:05') {
+  // Stereo layout declared by the container (MP4 st3d box or Matroska StereoMode), null when absent
+  static parseStereoMode(videoStream) {
+    const sideData = (videoStream.side_data_list || []).find(data => /^stereo ?3d$/i.test(data.side_data_type || ''));
+    const declared = sideData?.type || videoStream.tags?.stereo_mode;
+    if (!declared) return null;
+
+    const value = String(declared).toLowerCase();
+    if (value === '2d' || value === 'mono') return 'mono';
+    if (/top|bottom/.test(value)) return 'top-bottom';
+    if (/side|left|right/.test(value)) return 'left-right';
+    return null;
+  }
+
+  // Frames whose shape could hold two 2:1 eyes: 1:1 stacked, 4:1 side by side
+  static stereoCandidate(metadata) {
+    const aspectRatio = metadata.width / metadata.height;
+    if (aspectRatio >= 0.9 && aspectRatio <= 1.1) return 'top-bottom';
+    if (aspectRatio >= 3.6 && aspectRatio <= 4.2) return 'left-right';
+    return null;
+  }
+
+  // One small grayscale frame at the given time, null when the source has no frame there
+  static async sampleGrayFrame(source, time) {
+    const frameSize = STEREO_ANALYSIS_SIZE * STEREO_ANALYSIS_SIZE;
+
     return new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .screenshots({
-          timestamps: [timeOffset],
-          filename: path.basename(outputPath),
-          folder: path.dirname(outputPath),
-          size: '1920x960'
-        })
-        .on('end', () => resolve(outputPath))
-        .on('error', (err) => reject(new Error(`Failed to generate thumbnail: ${err.message}`)));
+      const chunks = [];
+      const command = ffmpeg(source)
+        .seekInput(time)
+        .noAudio()
+        .outputOptions([
+          '-vf', `scale=${STEREO_ANALYSIS_SIZE}:${STEREO_ANALYSIS_SIZE},format=gray`,
+          '-frames:v', '1',
+        ])
+        .format('rawvideo')
+        .on('error', (err) => reject(new Error(`Failed to sample frame: ${err.message}`)));
+
+      const stream = command.pipe();
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        resolve(buffer.length >= frameSize ? buffer.subarray(0, frameSize) : null);
+      });
     });
   }
 
-  static async transcodeVideo(inputPath, outputPath, quality = '1080p') {
-    const qualitySettings = {
-      '4K': { width: 3840, height: 1920, bitrate: '20000k', crf: 18 },
-      '1080p': { width: 1920, height: 960, bitrate: '8000k', crf: 23 },
-      '720p': { width: 1280, height: 640, bitrate: '5000k', crf: 28 },
-      '480p': { width: 854, height: 427, bitrate: '2500k', crf: 32 },
-    };
+  // Input seeking jumps to the nearest keyframe, so each sample decodes only a few frames
+  // instead of everything between the samples
+  static async sampleGrayFrames(source, duration) {
+    const interval = duration > 0 ? duration / (STEREO_ANALYSIS_FRAMES + 1) : 0;
+    const times = interval > 0
+      ? Array.from({ length: STEREO_ANALYSIS_FRAMES }, (_, index) => interval * (index + 1))
+      : [0];
+
+    const frames = [];
+    for (const time of times) {
+      const frame = await this.sampleGrayFrame(source, time);
+      if (frame) frames.push(frame);
+    }
+    return frames;
+  }
 
-    const settings = qualitySettings[quality] || qualitySettings['1080p'];
+  // Pearson correlation of two equally sized pixel arrays, null when either is nearly flat
+  static correlate(a, b) {
+    const n = a.length;
+    let sumA = 0, sumB = 0;
+    for (let i = 0; i < n; i++) {
+      sumA += a[i];
+      sumB += b[i];
+    }
 
-    return new Promise((resolve, reject) => {
-      const command = ffmpeg(inputPath)
-        .output(outputPath)
-        .videoCodec('libx264')
+    const meanA = sumA / n;
+    const meanB = sumB / n;
+    let covariance = 0, varianceA = 0, varianceB = 0;
+    for (let i = 0; i < n; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += (a[i] - meanA) ** 2;
+      varianceB += (b[i] - meanB) ** 2;
+    }
+
+    // Black or single-colour frames say nothing about the layout
+    if (varianceA / n < 64 || varianceB / n < 64) return null;
+    return covariance / Math.sqrt(varianceA * varianceB);
+  }
+
+  static frameHalves(frame, layout) {
+    const size = STEREO_ANALYSIS_SIZE;
+    const half = size / 2;
+    const first = new Uint8Array(size * half);
+    const second = new Uint8Array(size * half);
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const value = frame[y * size + x];
+        if (layout === 'top-bottom') {
+          (y < half ? first : second)[(y % half) * size + x] = value;
+        } else {
+          (x < half ? first : second)[y * half + (x % half)] = value;
+        }
+      }
+    }
+
+    return [first, second];
+  }
+
+  // Two eyes of the same scene differ only by a small parallax, so their halves correlate strongly
+  static async analyzeStereoLayout(source, metadata, layout) {
+    const frames = await this.sampleGrayFrames(source, metadata.duration);
+    const scores = frames
+      .map(frame => this.correlate(...this.frameHalves(frame, layout)))
+      .filter(score => score !== null);
+
+    if (scores.length === 0) return null;
+    const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    return average >= STEREO_MATCH_THRESHOLD;
+  }
+
+  // Frame analysis is only worth running when the container is silent and the shape suggests two eyes
+  static needsLayoutAnalysis(metadata) {
+    return !metadata.stereoMode && !!this.stereoCandidate(metadata);
+  }
+
+  // Container metadata wins, frame analysis only runs when the frame shape suggests two eyes
+  static async detectLayout(source, metadata) {
+    let stereoMode = metadata.stereoMode || 'mono';
+
+    const candidate = this.needsLayoutAnalysis(metadata) ? this.stereoCandidate(metadata) : null;
+    if (candidate) {
+      try {
+        if (await this.analyzeStereoLayout(source, metadata, candidate)) {
+          stereoMode = candidate;
+        }
+      } catch (error) {
+        console.error('⚠️ Stereo layout analysis failed:', error.message);
+      }
+    }
+
+    return this.detect360Video({ ...metadata, stereoMode });
+  }
+
+  // ffmpeg filter that keeps only the left/top eye of a stereo frame
+  static eyeCropFilter(stereoMode) {
+    if (stereoMode === 'top-bottom') return 'crop=iw:ih/2:0:0';
+    if (stereoMode === 'left-right') return 'crop=iw/2:ih:0:0';
+    return null;
+  }
+
+  // Filter chain for a still: one eye of a stereo frame, then a perspective view for 360° video
+  // or a centre crop to the requested size for flat video
+  static thumbnailFilter(options = {}) {
+    const {
+      is360Video = false,
+      projection = null,
+      stereoMode = 'mono',
+      yaw = 0,
+      pitch = 0,
+      fov = THUMBNAIL_DEFAULT_FOV,
+      width = THUMBNAIL_DEFAULT_WIDTH,
+      height = THUMBNAIL_DEFAULT_HEIGHT,
+    } = options;
+
+    const filters = [];
+    const eyeCrop = this.eyeCropFilter(stereoMode);
+    if (eyeCrop) filters.push(eyeCrop);
+
+    if (is360Video && projection in V360_FORMATS) {
+      // Keep pixels square: the vertical FOV follows from the horizontal one and the output shape
+      const verticalFov = 2 * Math.atan(Math.tan(fov * Math.PI / 360) * height / width) * 180 / Math.PI;
+      const view = [
+        `input=${V360_FORMATS[projection]}`,
+        'output=flat',
+        `yaw=${yaw}`,
+        `pitch=${pitch}`,
+        `h_fov=${fov}`,
+        `v_fov=${verticalFov.toFixed(3)}`,
+        `w=${width}`,
+        `h=${height}`,
+      ];
+      if (projection === 'fisheye') {
+        view.push(`ih_fov=${FISHEYE_DEFAULT_FOV}`, `iv_fov=${FISHEYE_DEFAULT_FOV}`);
+      }
+      filters.push(`v360=${view.join(':')}`);
+    } else {
+      filters.push(`scale=${width}:${height}:force_original_aspect_ratio=increase`, `crop=${width}:${height}`);
+    }
+
+    return filters.join(',');
+  }
+
+  static async generateThumbnail(inputPath, outputPath, timeOffset = '00:00:05', options = {}) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .seekInput(timeOffset)
+        .outputOptions(['-vf', this.thumbnailFilter(options), '-frames:v', '1', '-q:v', '2'])
+        .output(outputPath)
+        .on('end', () => resolve(outputPath))
+        .on('error', (err) => reject(new Error(`Failed to generate thumbnail: ${err.message}`)))
+        .run();
+    });
+  }
+
+  static get qualitySettings() {
+    return {
+      '4K': { width: 3840, height: 1920, bitrate: '20000k', crf: 18 },
+      '1080p': { width: 1920, height: 960, bitrate: '8000k', crf: 23 },
+      '720p': { width: 1280, height: 640, bitrate: '5000k', crf: 28 },
+      '480p': { width: 854, height: 427, bitrate: '2500k', crf: 32 },
+    };
+  }
+
+  // A whole 8K frame is beyond what headsets decode, so 8K is only offered cut into tiles
+  static get tileQualitySettings() {
+    return {
+      '8K': { width: 7680, height: 3840, bitrate: '60000k', crf: 18 },
+      ...this.qualitySettings,
+    };
+  }
+
+  static getQualitySettings(quality) {
+    return this.qualitySettings[quality] || this.qualitySettings['1080p'];
+  }
+
+  // Quality settings describe one equirectangular eye. Cube faces cover 90°, a quarter of the
+  // equirectangular width, and a 3x2 cube layout needs only 3/4 of the pixels and bitrate.
+  // Stereo renditions stack two eyes at twice the bitrate.
+  static getOutputSettings(quality, stereoMode = 'mono', projection = null) {
+    const settings = this.getQualitySettings(quality);
+    let width = settings.width;
+    let height = settings.height;
+    let bitrate = parseInt(settings.bitrate);
+
+    if (projection === 'cubemap' || projection === 'eac') {
+      const face = 2 * Math.round(settings.width / 8);
+      width = face * 3;
+      height = face * 2;
+      bitrate = Math.round(bitrate * (width * height) / (settings.width * settings.height));
+    }
+
+    if (stereoMode !== 'mono') {
+      if (stereoMode === 'left-right') width *= 2;
+      if (stereoMode === 'top-bottom') height *= 2;
+      bitrate *= 2;
+    }
+
+    return { ...settings, width, height, bitrate: `${bitrate}k` };
+  }
+
+  // qualityLevels key of a rendition, converted renditions sit next to the source-projection ladder
+  static renditionKey(quality, targetProjection = null) {
+    return targetProjection ? `${quality}-${targetProjection}` : quality;
+  }
+
+  static projectionFilter(conversion, settings, stereoMode = 'mono') {
+    const stereo = V360_STEREO_FORMATS[stereoMode] || '2d';
+    const options = [
+      `input=${V360_FORMATS[conversion.from]}`,
+      `output=${V360_FORMATS[conversion.to]}`,
+      `w=${settings.width}`,
+      `h=${settings.height}`,
+      `in_stereo=${stereo}`,
+      `out_stereo=${stereo}`,
+    ];
+
+    if (conversion.from === 'fisheye') {
+      const fov = conversion.fisheyeFov || FISHEYE_DEFAULT_FOV;
+      options.push(`ih_fov=${fov}`, `iv_fov=${fov}`);
+    }
+
+    return `v360=${options.join(':')}`;
+  }
+
+  // Level 5.1 tops out at 36864 macroblocks per frame, stacked 4K eyes need level 6. No level
+  // allows more than 6.2's 139264, decoders reject anything larger.
+  static h264Level(width, height) {
+    const macroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+    if (macroblocks > 139264) {
+      throw new Error(`${width}x${height} is larger than H.264 allows (level 6.2)`);
+    }
+    return macroblocks > 36864 ? '6.0' : '5.1';
+  }
+
+  static h264CodecString(level) {
+    return `avc1.6400${Math.round(parseFloat(level) * 10).toString(16).toUpperCase().padStart(2, '0')}`;
+  }
+
+  static async transcodeVideo(inputPath, outputPath, quality = '1080p', options = {}) {
+    const { signal, onProgress, stereoMode = 'mono', projection = null } = options;
+    const settings = this.getOutputSettings(quality, stereoMode, projection?.to);
+
+    signal?.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .output(outputPath)
+        .videoCodec('libx264')
         .audioCodec('aac')
-        .size(`${settings.width}x${settings.height}`)
+        .audioBitrate(`${AUDIO_BITRATE_KBPS}k`)
         .videoBitrate(settings.bitrate)
         .addOption('-crf', settings.crf)
         .addOption('-preset', 'medium')
+        .addOption('-profile:v', 'high')
+        .addOption('-level', this.h264Level(settings.width, settings.height))
+        // Fixed keyframe cadence so segments line up across every quality level
+        .addOption('-force_key_frames', `expr:gte(t,n_forced*${KEYFRAME_INTERVAL_SECONDS})`)
+        .addOption('-sc_threshold', 0)
         .addOption('-movflags', '+faststart') // Optimize for streaming
         .format('mp4');
 
+      // v360 remaps and scales in one pass
+      if (projection) {
+        command.videoFilters(this.projectionFilter(projection, settings, stereoMode));
+      } else {
+        command.size(`${settings.width}x${settings.height}`);
+      }
+
       let progress = 0;
       command.on('progress', (progressInfo) => {
         progress = progressInfo.percent || 0;
         console.log(`Transcoding progress: ${progress.toFixed(1)}%`);
+        if (onProgress) onProgress(progressInfo);
       });
 
       command.on('end', () => {
@@ -544,7 +1841,22 @@ class VideoProcessingService {
         resolve({ outputPath, progress: 100 });
       });
 
+      const onAbort = () => {
+        console.log(`🛑 Killing ffmpeg for cancelled transcode: ${outputPath}`);
+        command.kill('SIGKILL');
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      command.on('end', () => signal?.removeEventListener('abort', onAbort));
+
       command.on('error', (err) => {
+        signal?.removeEventListener('abort', onAbort);
+
+        if (signal?.aborted) {
+          reject(new Error('Transcoding cancelled'));
+          return;
+        }
+
         console.error(`❌ Transcoding failed: ${err.message}`);
         reject(new Error(`Transcoding failed: ${err.message}`));
       });
@@ -553,833 +1865,6411 @@ class VideoProcessingService {
     });
   }
 
-  static detect360Video(metadata) {
-    // Simple heuristic to detect 360 videos
-    const { width, height } = metadata;
-    const aspectRatio = width / height;
-    
-    // Common 360 video aspect ratios
-    const is360 = aspectRatio >= 1.8 && aspectRatio <= 2.1; // Equirectangular: ~2:1
-    
+  static parseTileGrid(grid) {
+    const match = /^(\d+)x(\d+)$/.exec(String(grid));
+    if (!match) return null;
+
+    const columns = parseInt(match[1]);
+    const rows = parseInt(match[2]);
+    if (columns < TILE_COLUMN_RANGE[0] || columns > TILE_COLUMN_RANGE[1] || rows < TILE_ROW_RANGE[0] || rows > TILE_ROW_RANGE[1]) {
+      return null;
+    }
+    return { columns, rows };
+  }
+
+  // Tiles are cut from the quality's equirectangular frame, rounded down to even sizes for yuv420
+  static getTileSettings(quality, grid) {
+    const settings = this.tileQualitySettings[quality] || this.getQualitySettings(quality);
+    const tileCount = grid.columns * grid.rows;
     return {
-      is360Video: is360,
-      projection: is360 ? 'equirectangular' : null,
+      tileWidth: 2 * Math.floor(settings.width / grid.columns / 2),
+      tileHeight: 2 * Math.floor(settings.height / grid.rows / 2),
+      bitrate: `${Math.max(100, Math.round(parseInt(settings.bitrate) / tileCount))}k`,
+      crf: settings.crf,
     };
   }
-}
 
-// Analytics Service
-class AnalyticsService {
-  static async trackEvent(fileId, sessionId, eventType, data = {}) {
-    if (!VideoAnalytics) return;
+  // Each tile is its own H.264 stream, so a client can decode any subset of them. Keyframes
+  // follow the same cadence as regular renditions, which keeps tile segments aligned.
+  static async encodeTiles(inputPath, outputDir, quality, grid, options = {}) {
+    const { signal, onProgress, hasAudio } = options;
+    const tile = this.getTileSettings(quality, grid);
+    const tileCount = grid.columns * grid.rows;
+
+    signal?.throwIfAborted();
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const tiles = [];
+    const labels = [];
+    for (let row = 0; row < grid.rows; row++) {
+      for (let column = 0; column < grid.columns; column++) {
+        tiles.push({ name: `r${row}c${column}`, row, column });
+        labels.push(`[s${labels.length}]`);
+      }
+    }
 
-    try {
-      await VideoAnalytics.create({
-        fileId,
-        sessionId,
-        eventType,
-        videoTime: data.videoTime,
-        quality: data.quality,
-        metadata: data.metadata || {},
-        userAgent: data.userAgent,
-        ipAddress: data.ipAddress,
-        userId: data.userId,
+    const filters = [
+      `[0:v]scale=${tile.tileWidth * grid.columns}:${tile.tileHeight * grid.rows},split=${tileCount}${labels.join('')}`,
+      ...tiles.map((entry, index) =>
+        `[s${index}]crop=${tile.tileWidth}:${tile.tileHeight}:${entry.column * tile.tileWidth}:${entry.row * tile.tileHeight}[t${index}]`),
+    ];
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath).complexFilter(filters);
+
+      tiles.forEach((entry, index) => {
+        entry.path = path.join(outputDir, `${entry.name}.mp4`);
+        command.output(entry.path).outputOptions([
+          '-map', `[t${index}]`,
+          '-an',
+          '-c:v', 'libx264',
+          '-b:v', tile.bitrate,
+          '-crf', String(tile.crf),
+          '-preset', 'medium',
+          '-profile:v', 'high',
+          '-force_key_frames', `expr:gte(t,n_forced*${KEYFRAME_INTERVAL_SECONDS})`,
+          '-sc_threshold', '0',
+          '-f', 'mp4',
+        ]);
       });
-    } catch (error) {
-      console.error('Failed to track analytics event:', error);
-    }
-  }
 
-  static async getVideoStats(fileId) {
-    if (!VideoAnalytics || !FileMetadata) return null;
+      // Audio doesn't depend on the viewport, it is delivered once next to the tiles
+      const audioPath = hasAudio ? path.join(outputDir, 'audio.m4a') : null;
+      if (audioPath) {
+        command.output(audioPath).outputOptions([
+          '-map', '0:a:0',
+          '-vn',
+          '-c:a', 'aac',
+          '-b:a', `${AUDIO_BITRATE_KBPS}k`,
+          '-f', 'mp4',
+        ]);
+      }
 
-    try {
-      const file = await FileMetadata.findByPk(fileId);
-      if (!file) return null;
+      command.on('progress', (progressInfo) => {
+        if (onProgress) onProgress(progressInfo);
+      });
 
-      const analytics = await VideoAnalytics.findAll({
-        where: { fileId },
-        attributes: [
-          'eventType',
-          [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
-          [sequelize.fn('AVG', sequelize.col('videoTime')), 'avgWatchTime'],
-        ],
-        group: ['eventType'],
-        raw: true,
+      const onAbort = () => {
+        console.log(`🛑 Killing ffmpeg for cancelled tile encode: ${outputDir}`);
+        command.kill('SIGKILL');
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      command.on('end', () => {
+        signal?.removeEventListener('abort', onAbort);
+        console.log(`✅ Encoded ${tileCount} ${quality} tiles: ${outputDir}`);
+        resolve({ tiles, audioPath, ...tile });
       });
 
-      const uniqueViewers = await VideoAnalytics.count({
-        where: { fileId, eventType: 'view_start' },
-        distinct: true,
-        col: 'sessionId',
+      command.on('error', (err) => {
+        signal?.removeEventListener('abort', onAbort);
+        if (signal?.aborted) {
+          reject(new Error('Transcoding cancelled'));
+          return;
+        }
+        reject(new Error(`Tile encoding failed: ${err.message}`));
       });
 
-      return {
-        file: {
-          id: file.id,
-          fileName: file.fileName,
-          duration: file.duration,
-          viewCount: file.viewCount,
-        },
-        analytics,
-        uniqueViewers,
-      };
-    } catch (error) {
-      console.error('Failed to get video stats:', error);
-      return null;
+      command.run();
+    });
+  }
+
+  // Where a tile sits on the sphere, in the heatmap convention: yaw 0 at the frame center and
+  // positive to the right, pitch positive up
+  static tileBounds(row, column, grid) {
+    const yawMin = -180 + column * 360 / grid.columns;
+    const yawMax = -180 + (column + 1) * 360 / grid.columns;
+    const pitchMax = 90 - row * 180 / grid.rows;
+    const pitchMin = 90 - (row + 1) * 180 / grid.rows;
+
+    return {
+      yaw: { min: yawMin, max: yawMax, center: (yawMin + yawMax) / 2 },
+      pitch: { min: pitchMin, max: pitchMax, center: (pitchMin + pitchMax) / 2 },
+    };
+  }
+
+  static buildTileManifest(fileRecord, uriSuffix = '') {
+    const tiling = fileRecord.tiling;
+    const qualities = Object.entries(tiling?.qualities || {});
+    if (qualities.length === 0) return null;
+
+    const { grid } = tiling;
+    const tiles = [];
+    for (let row = 0; row < grid.rows; row++) {
+      for (let column = 0; column < grid.columns; column++) {
+        const id = `r${row}c${column}`;
+        tiles.push({
+          id,
+          row,
+          column,
+          ...this.tileBounds(row, column, grid),
+          playlists: Object.fromEntries(qualities.map(([quality]) =>
+            [quality, `${encodeURIComponent(quality)}/${id}/${HLS_PLAYLIST_NAME}${uriSuffix}`])),
+        });
+      }
     }
+
+    return {
+      fileId: fileRecord.id,
+      projection: 'equirectangular',
+      duration: fileRecord.duration,
+      grid,
+      segmentDuration: SEGMENT_DURATION_SECONDS,
+      qualities: qualities
+        .map(([quality, level]) => ({
+          quality,
+          tileWidth: level.tileWidth,
+          tileHeight: level.tileHeight,
+          bandwidth: level.bandwidth,
+          segmentCount: level.segmentCount,
+        }))
+        .sort((a, b) => b.bandwidth - a.bandwidth),
+      audio: tiling.audio ? `audio/${HLS_PLAYLIST_NAME}${uriSuffix}` : null,
+      tiles,
+    };
   }
-}
 
-// Session Service
-class SessionService {
-  static generateSessionId() {
-    return crypto.randomBytes(32).toString('hex');
+  static async packageHls(inputPath, outputDir) {
+    await fs.mkdir(outputDir, { recursive: true });
+    const playlistPath = path.join(outputDir, HLS_PLAYLIST_NAME);
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .output(playlistPath)
+        .addOption('-c', 'copy') // Renditions are already encoded, only segment them
+        .addOption('-hls_time', SEGMENT_DURATION_SECONDS)
+        .addOption('-hls_playlist_type', 'vod')
+        .addOption('-hls_segment_filename', path.join(outputDir, 'segment_%04d.ts'))
+        .format('hls')
+        .on('end', () => {
+          console.log(`✅ HLS packaging completed: ${playlistPath}`);
+          resolve(playlistPath);
+        })
+        .on('error', (err) => {
+          console.error(`❌ HLS packaging failed: ${err.message}`);
+          reject(new Error(`HLS packaging failed: ${err.message}`));
+        })
+        .run();
+    });
   }
 
-  static async createSession(sessionData) {
-    if (!UserSession) return null;
+  static async packageDash(inputPath, outputDir, hasAudio = true) {
+    await fs.mkdir(outputDir, { recursive: true });
+    const manifestPath = path.join(outputDir, DASH_MANIFEST_NAME);
 
-    try {
-      return await UserSession.create({
-        sessionId: this.generateSessionId(),
-        ...sessionData,
-      });
-    } catch (error) {
-      console.error('Failed to create session:', error);
-      return null;
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .output(manifestPath)
+        .addOption('-c', 'copy')
+        .addOption('-map', '0:v:0');
+
+      if (hasAudio) {
+        command.addOption('-map', '0:a:0');
+      }
+
+      command
+        .addOption('-seg_duration', SEGMENT_DURATION_SECONDS)
+        // Fixed-duration templates so the combined manifest can be built without a timeline
+        .addOption('-use_template', 1)
+        .addOption('-use_timeline', 0)
+        .addOption('-init_seg_name', 'init-$RepresentationID$.m4s')
+        .addOption('-strict', 'unofficial') // Lets the mp4 muxer carry st3d/sv3d over into the init segments
+        .addOption('-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s')
+        .format('dash')
+        .on('end', () => {
+          console.log(`✅ DASH packaging completed: ${manifestPath}`);
+          resolve(manifestPath);
+        })
+        .on('error', (err) => {
+          console.error(`❌ DASH packaging failed: ${err.message}`);
+          reject(new Error(`DASH packaging failed: ${err.message}`));
+        })
+        .run();
+    });
+  }
+
+  static async packageRendition(format, inputPath, outputDir, options = {}) {
+    switch (format) {
+      case 'hls':
+        return this.packageHls(inputPath, outputDir);
+      case 'dash':
+        return this.packageDash(inputPath, outputDir, options.hasAudio);
+      default:
+        throw new Error(`Unsupported streaming format: ${format}`);
     }
   }
 
-  static async getActiveSession(sessionId) {
-    if (!UserSession) return null;
+  static buildDashManifest(renditions, duration, uriSuffix = '') {
+    const variants = renditions
+      .map(({ quality, level }) => {
+        const settings = this.getQualitySettings(quality);
+        const [width, height] = (level.resolution || `${settings.width}x${settings.height}`).split('x');
+        return {
+          quality,
+          level,
+          width,
+          height,
+          bandwidth: level.bandwidth || (parseInt(settings.bitrate) + AUDIO_BITRATE_KBPS) * 1000,
+        };
+      })
+      .sort((a, b) => b.bandwidth - a.bandwidth);
 
-    try {
-      return await UserSession.findOne({
-        where: { sessionId, isActive: true },
-      });
-    } catch (error) {
-      console.error('Failed to get session:', error);
-      return null;
+    if (variants.length === 0) return null;
+
+    const segmentTemplate = (quality, representationId) => {
+      const base = `dash/${encodeURIComponent(quality)}`;
+      return `<SegmentTemplate timescale="1000" duration="${SEGMENT_DURATION_SECONDS * 1000}" startNumber="1" ` +
+        `initialization="${base}/init-${representationId}.m4s${uriSuffix}" media="${base}/chunk-${representationId}-$Number%05d$.m4s${uriSuffix}"/>`;
+    };
+
+    const lines = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" type="static" ` +
+        `mediaPresentationDuration="PT${Number(duration || 0).toFixed(3)}S" minBufferTime="PT${SEGMENT_DURATION_SECONDS}S">`,
+      '  <Period id="0" start="PT0S">',
+      `    <AdaptationSet id="0" contentType="video" mimeType="video/mp4" codecs="${VIDEO_CODEC_STRING}" segmentAlignment="true" startWithSAP="1">`,
+    ];
+
+    variants.forEach(variant => {
+      const codecs = variant.level.codecs && variant.level.codecs !== VIDEO_CODEC_STRING ? ` codecs="${variant.level.codecs}"` : '';
+      lines.push(`      <Representation id="${variant.quality}" bandwidth="${variant.bandwidth}" width="${variant.width}" height="${variant.height}"${codecs}>`);
+      lines.push(`        ${segmentTemplate(variant.quality, 0)}`);
+      lines.push('      </Representation>');
+    });
+    lines.push('    </AdaptationSet>');
+
+    // Every rendition carries the same AAC track, so a single audio representation is enough
+    const audioSource = variants.find(variant => variant.level.dash.hasAudio);
+    if (audioSource) {
+      lines.push(`    <AdaptationSet id="1" contentType="audio" mimeType="audio/mp4" codecs="${AUDIO_CODEC_STRING}" segmentAlignment="true" startWithSAP="1">`);
+      lines.push(`      <Representation id="audio" bandwidth="${AUDIO_BITRATE_KBPS * 1000}">`);
+      lines.push(`        ${segmentTemplate(audioSource.quality, 1)}`);
+      lines.push('      </Representation>');
+      lines.push('    </AdaptationSet>');
     }
+
+    lines.push('  </Period>', '</MPD>');
+    return lines.join('\n') + '\n';
   }
-}
 
-// Initialize storage service
-const storageService = new CloudStorageService(process.env.GOOGLE_CLOUD_BUCKET_NAME || 'duovr-files-bucket');
+  static buildHlsMasterPlaylist(qualityLevels = {}, uriSuffix = '') {
+    const variants = Object.entries(qualityLevels)
+      .filter(([, level]) => level && level.hls)
+      .map(([quality, level]) => {
+        const settings = this.getQualitySettings(quality);
+        return {
+          quality,
+          bandwidth: level.bandwidth || (parseInt(settings.bitrate) + AUDIO_BITRATE_KBPS) * 1000,
+          resolution: level.resolution || `${settings.width}x${settings.height}`,
+        };
+      })
+      .sort((a, b) => b.bandwidth - a.bandwidth);
 
-// Utility functions
-function isValidVideoFile(file) {
-  const validTypes = [
-    'video/mp4', 'video/quicktime', 'video/x-msvideo', 
-    'video/avi', 'video/mov', 'video/x-ms-wmv', 'video/webm'
-  ];
-  return validTypes.includes(file.mimetype.toLowerCase());
-}
+    if (variants.length === 0) return null;
 
-function generateUniqueFileName(originalName, prefix = '360-videos') {
-  const timestamp = Date.now();
-  const randomStr = Math.random().toString(36).substring(2, 8);
-  const extension = originalName.split('.').pop();
-  const nameWithoutExt = originalName.replace(/\.[^/.]+$/, "");
-  const sanitizedName = nameWithoutExt.replace(/[^a-zA-Z0-9-_]/g, '_');
-  return `${prefix}/${timestamp}-${randomStr}-${sanitizedName}.${extension}`;
-}
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+    variants.forEach(variant => {
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},RESOLUTION=${variant.resolution},NAME="${variant.quality}"`);
+      lines.push(`hls/${encodeURIComponent(variant.quality)}/${HLS_PLAYLIST_NAME}${uriSuffix}`);
+    });
 
-function parseRangeHeader(range, fileSize) {
-  const parts = range.replace(/bytes=/, "").split("-");
-  const start = parseInt(parts[0], 10);
-  const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-  return { start, end };
-}
+    return lines.join('\n') + '\n';
+  }
 
-// ROUTES
+  static detect360Video(metadata) {
+    const stereoMode = metadata.stereoMode || 'mono';
+
+    // Spherical metadata in the container is authoritative
+    if (metadata.spherical?.projection) {
+      return { is360Video: true, projection: metadata.spherical.projection, stereoMode };
+    }
+
+    // Simple heuristic to detect 360 videos
+    const { width, height } = metadata;
+
+    // Each eye of a stereo frame is a full picture of its own
+    const eyeWidth = stereoMode === 'left-right' ? width / 2 : width;
+    const eyeHeight = stereoMode === 'top-bottom' ? height / 2 : height;
+    const aspectRatio = eyeWidth / eyeHeight;
+    
+    // Common 360 video aspect ratios
+    const is360 = aspectRatio >= 1.8 && aspectRatio <= 2.1; // Equirectangular: ~2:1
+    
+    return {
+      is360Video: is360,
+      projection: is360 ? 'equirectangular' : null,
+      stereoMode,
+    };
+  }
+}
+
+// Spherical Metadata Service
+// Google Spherical Video metadata: V1 is an RDF/XML uuid box in the video track, V2 adds
+// st3d and sv3d boxes to the sample entry. Players and YouTube look for either.
+class SphericalMetadataService {
+  // Side data ffprobe reports for MP4 sv3d/st3d boxes and Matroska Projection elements
+  static parseSideData(videoStream) {
+    const mapping = (videoStream.side_data_list || []).find(data => /^spherical mapping$/i.test(data.side_data_type || ''));
+    if (!mapping) return null;
+
+    const declared = String(mapping.projection || '').toLowerCase();
+    const projection = declared.includes('equirectangular') ? 'equirectangular'
+      : declared.includes('cubemap') ? 'cubemap'
+        : declared.includes('fisheye') ? 'fisheye'
+          : null;
+
+    return {
+      projection,
+      declaredProjection: declared || null,
+      stereoMode: VideoProcessingService.parseStereoMode(videoStream),
+      yaw: Number(mapping.yaw) || 0,
+      pitch: Number(mapping.pitch) || 0,
+      roll: Number(mapping.roll) || 0,
+    };
+  }
+
+  // What to write into renditions, null for flat videos and projections the spec can't describe
+  static forFile(fileRecord, projection = fileRecord.projection) {
+    if (!fileRecord.is360Video || !SPHERICAL_PROJECTIONS.includes(projection)) return null;
+
+    const stored = fileRecord.sphericalMetadata || {};
+    return {
+      projection,
+      stereoMode: fileRecord.stereoMode || 'mono',
+      yaw: stored.yaw || 0,
+      pitch: stored.pitch || 0,
+      roll: stored.roll || 0,
+    };
+  }
+
+  static box(type, ...payloads) {
+    const payload = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(payload.length + 8, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+  }
+
+  static fullBox(type, ...payloads) {
+    return this.box(type, Buffer.alloc(4), ...payloads); // version 0, flags 0
+  }
+
+  static buildV2Boxes(spherical) {
+    // st3d stereo_mode uses the same order as STEREO_MODES: 0 mono, 1 top-bottom, 2 left-right
+    const st3d = Buffer.alloc(1);
+    st3d.writeUInt8(Math.max(0, STEREO_MODES.indexOf(spherical.stereoMode)), 0);
+
+    // Pose angles are 16.16 fixed point degrees
+    const pose = Buffer.alloc(12);
+    pose.writeInt32BE(Math.round(spherical.yaw * 65536), 0);
+    pose.writeInt32BE(Math.round(spherical.pitch * 65536), 4);
+    pose.writeInt32BE(Math.round(spherical.roll * 65536), 8);
+
+    const projectionBox = spherical.projection === 'cubemap'
+      ? this.fullBox('cbmp', Buffer.alloc(8)) // layout 0, no padding
+      : this.fullBox('equi', Buffer.alloc(16)); // no cropping bounds
+
+    return [
+      this.fullBox('st3d', st3d),
+      this.box('sv3d',
+        this.fullBox('svhd', Buffer.from(`${SPHERICAL_METADATA_SOURCE}\0`, 'utf8')),
+        this.box('proj', this.fullBox('prhd', pose), projectionBox)),
+    ];
+  }
+
+  // V1 only knows equirectangular video
+  static buildV1Box(spherical) {
+    if (spherical.projection !== 'equirectangular') return null;
+
+    const xml = [
+      '<?xml version="1.0"?>',
+      '<rdf:SphericalVideo xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns:GSpherical="http://ns.google.com/videos/1.0/spherical/">',
+      '<GSpherical:Spherical>true</GSpherical:Spherical>',
+      '<GSpherical:Stitched>true</GSpherical:Stitched>',
+      `<GSpherical:StitchingSoftware>${SPHERICAL_METADATA_SOURCE}</GSpherical:StitchingSoftware>`,
+      '<GSpherical:ProjectionType>equirectangular</GSpherical:ProjectionType>',
+      `<GSpherical:StereoMode>${spherical.stereoMode}</GSpherical:StereoMode>`,
+      `<GSpherical:InitialViewHeadingDegrees>${Math.round(spherical.yaw)}</GSpherical:InitialViewHeadingDegrees>`,
+      `<GSpherical:InitialViewPitchDegrees>${Math.round(spherical.pitch)}</GSpherical:InitialViewPitchDegrees>`,
+      `<GSpherical:InitialViewRollDegrees>${Math.round(spherical.roll)}</GSpherical:InitialViewRollDegrees>`,
+      '</rdf:SphericalVideo>',
+    ].join('');
+
+    return this.box('uuid', SPHERICAL_V1_UUID, Buffer.from(xml, 'utf8'));
+  }
+
+  // Top-level box headers read through a file handle, so the media data is never loaded
+  static async readFileBoxes(handle, fileSize) {
+    const boxes = [];
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+      await handle.read(header, 0, header.length, offset);
+      let size = header.readUInt32BE(0);
+      const type = header.toString('latin1', 4, 8);
+      let headerSize = 8;
+
+      if (size === 1) {
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = fileSize - offset;
+      }
+      if (size < headerSize || offset + size > fileSize) {
+        throw new Error(`Malformed MP4 box ${type} at ${offset}`);
+      }
+
+      boxes.push({ type, start: offset, end: offset + size, headerSize });
+      offset += size;
+    }
+
+    return boxes;
+  }
+
+  static readBoxes(buffer, start, end) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      let headerSize = 8;
+
+      if (size === 1) {
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < headerSize || offset + size > end) {
+        throw new Error(`Malformed MP4 box ${type} at ${offset}`);
+      }
+
+      boxes.push({ type, start: offset, end: offset + size, headerSize });
+      offset += size;
+    }
+
+    return boxes;
+  }
+
+  static findChild(buffer, parent, type, childOffset = 0) {
+    return this.readBoxes(buffer, parent.start + parent.headerSize + childOffset, parent.end).find(box => box.type === type);
+  }
+
+  // Box chains from moov down to the video track's first sample entry, the buffer holds the moov box
+  static findVideoTrack(buffer) {
+    const moov = this.readBoxes(buffer, 0, buffer.length).find(box => box.type === 'moov');
+    if (!moov) throw new Error('MP4 has no moov box');
+
+    for (const trak of this.readBoxes(buffer, moov.start + moov.headerSize, moov.end).filter(box => box.type === 'trak')) {
+      const mdia = this.findChild(buffer, trak, 'mdia');
+      const hdlr = mdia && this.findChild(buffer, mdia, 'hdlr');
+      // hdlr: version/flags, pre_defined, then the handler type
+      if (!hdlr || buffer.toString('latin1', hdlr.start + hdlr.headerSize + 8, hdlr.start + hdlr.headerSize + 12) !== 'vide') continue;
+
+      const minf = this.findChild(buffer, mdia, 'minf');
+      const stbl = minf && this.findChild(buffer, minf, 'stbl');
+      const stsd = stbl && this.findChild(buffer, stbl, 'stsd');
+      // stsd: version/flags and entry count come before the sample entries
+      const entry = stsd && this.readBoxes(buffer, stsd.start + stsd.headerSize + 8, stsd.end)[0];
+      if (!entry) break;
+
+      return { moov, trak, ancestors: [moov, trak, mdia, minf, stbl, stsd], entry };
+    }
+
+    throw new Error('MP4 has no video track');
+  }
+
+  // Replace one box and grow or shrink every box that contains it
+  static replaceBox(buffer, ancestors, box, replacement) {
+    const delta = replacement.length - (box.end - box.start);
+    const result = Buffer.concat([buffer.subarray(0, box.start), replacement, buffer.subarray(box.end)]);
+
+    for (const ancestor of ancestors) {
+      if (ancestor.headerSize === 16) {
+        result.writeBigUInt64BE(BigInt(ancestor.end - ancestor.start + delta), ancestor.start + 8);
+      } else {
+        result.writeUInt32BE(ancestor.end - ancestor.start + delta, ancestor.start);
+      }
+    }
+
+    return { buffer: result, delta };
+  }
+
+  static isSphericalV1(buffer, box) {
+    return box.type === 'uuid' && buffer.subarray(box.start + 8, box.start + 24).equals(SPHERICAL_V1_UUID);
+  }
+
+  // A fresh moov with the boxes swapped in, existing spherical boxes are replaced rather than duplicated.
+  // With faststart the moov sits before mdat, so every chunk offset has to move by the growth.
+  static inject(buffer, spherical, options = {}) {
+    const [st3d, sv3d] = this.buildV2Boxes(spherical);
+    let growth = 0;
+
+    // V2: rebuild the sample entry (8 byte header, 78 bytes of VisualSampleEntry fields, child boxes)
+    let track = this.findVideoTrack(buffer);
+    const { entry } = track;
+    const children = this.readBoxes(buffer, entry.start + entry.headerSize + 78, entry.end)
+      .filter(box => box.type !== 'st3d' && box.type !== 'sv3d')
+      .map(box => buffer.subarray(box.start, box.end));
+    const newEntry = Buffer.concat([buffer.subarray(entry.start, entry.start + entry.headerSize + 78), ...children, st3d, sv3d]);
+    newEntry.writeUInt32BE(newEntry.length, 0);
+
+    let edit = this.replaceBox(buffer, track.ancestors, entry, newEntry);
+    buffer = edit.buffer;
+    growth += edit.delta;
+
+    // V1: a uuid box at the end of the video trak
+    track = this.findVideoTrack(buffer);
+    const trakChildren = this.readBoxes(buffer, track.trak.start + track.trak.headerSize, track.trak.end);
+    const v1 = this.buildV1Box(spherical);
+    const newTrak = Buffer.concat([
+      buffer.subarray(track.trak.start, track.trak.start + track.trak.headerSize),
+      ...trakChildren.filter(box => !this.isSphericalV1(buffer, box)).map(box => buffer.subarray(box.start, box.end)),
+      ...(v1 ? [v1] : []),
+    ]);
+    if (track.trak.headerSize === 16) {
+      newTrak.writeBigUInt64BE(BigInt(newTrak.length), 8);
+    } else {
+      newTrak.writeUInt32BE(newTrak.length, 0);
+    }
+
+    edit = this.replaceBox(buffer, [track.moov], track.trak, newTrak);
+    buffer = edit.buffer;
+    growth += edit.delta;
+
+    if (growth !== 0 && options.shiftChunkOffsets) {
+      this.shiftChunkOffsets(buffer, this.findVideoTrack(buffer).moov, growth);
+    }
+
+    return buffer;
+  }
+
+  static shiftChunkOffsets(buffer, moov, delta) {
+    for (const trak of this.readBoxes(buffer, moov.start + moov.headerSize, moov.end).filter(box => box.type === 'trak')) {
+      const mdia = this.findChild(buffer, trak, 'mdia');
+      const minf = mdia && this.findChild(buffer, mdia, 'minf');
+      const stbl = minf && this.findChild(buffer, minf, 'stbl');
+      if (!stbl) continue;
+
+      for (const table of this.readBoxes(buffer, stbl.start + stbl.headerSize, stbl.end)) {
+        if (table.type !== 'stco' && table.type !== 'co64') continue;
+
+        const countOffset = table.start + table.headerSize + 4;
+        const count = buffer.readUInt32BE(countOffset);
+        for (let i = 0; i < count; i++) {
+          if (table.type === 'stco') {
+            const position = countOffset + 4 + i * 4;
+            buffer.writeUInt32BE(buffer.readUInt32BE(position) + delta, position);
+          } else {
+            const position = countOffset + 4 + i * 8;
+            buffer.writeBigUInt64BE(buffer.readBigUInt64BE(position) + BigInt(delta), position);
+          }
+        }
+      }
+    }
+  }
+
+  // Only moov is rebuilt in memory, every other box is streamed into a copy unchanged
+  static async injectFile(filePath, spherical) {
+    const handle = await fs.open(filePath, 'r');
+    let boxes, moov, newMoov;
+    try {
+      boxes = await this.readFileBoxes(handle, (await handle.stat()).size);
+      moov = boxes.find(box => box.type === 'moov');
+      if (!moov) throw new Error('MP4 has no moov box');
+
+      const moovData = Buffer.alloc(moov.end - moov.start);
+      await handle.read(moovData, 0, moovData.length, moov.start);
+      newMoov = this.inject(moovData, spherical, {
+        shiftChunkOffsets: boxes.some(box => box.type === 'mdat' && box.start > moov.start),
+      });
+    } finally {
+      await handle.close();
+    }
+
+    const tempPath = `${filePath}.spherical`;
+    const writeStream = createWriteStream(tempPath);
+    const finished = new Promise((resolve, reject) => {
+      writeStream.on('finish', resolve);
+      writeStream.on('error', reject);
+    });
+
+    try {
+      for (const box of boxes) {
+        if (box === moov) {
+          await new Promise((resolve, reject) => writeStream.write(newMoov, error => (error ? reject(error) : resolve())));
+          continue;
+        }
+
+        const readStream = createReadStream(filePath, { start: box.start, end: box.end - 1 });
+        await new Promise((resolve, reject) => {
+          readStream.on('end', resolve);
+          readStream.on('error', reject);
+          readStream.pipe(writeStream, { end: false });
+        });
+      }
+
+      writeStream.end();
+      await finished;
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      writeStream.destroy();
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+}
+
+// Analytics Service
+class AnalyticsService {
+  static async trackEvent(fileId, sessionId, eventType, data = {}) {
+    if (!VideoAnalytics) return;
+
+    try {
+      await VideoAnalytics.create({
+        fileId,
+        sessionId,
+        eventType,
+        videoTime: data.videoTime,
+        quality: data.quality,
+        metadata: data.metadata || {},
+        userAgent: data.userAgent,
+        ipAddress: data.ipAddress,
+        userId: data.userId,
+      });
+
+      await PlaybackPositionService.recordFromEvents([{
+        fileId,
+        sessionId,
+        eventType,
+        videoTime: data.videoTime,
+        userId: data.userId,
+        deviceType: data.deviceType,
+        platform: data.platform,
+      }]);
+    } catch (error) {
+      console.error('Failed to track analytics event:', error);
+    }
+  }
+
+  // Offline-capable batch ingestion. Every event carries a client-generated eventId,
+  // so a headset can resend a whole batch after a timeout without double counting.
+  static async trackEventBatch(events, context = {}) {
+    const results = new Array(events.length);
+    const candidates = [];
+    const now = Date.now();
+    const eventTypes = VideoAnalytics.rawAttributes.eventType.values;
+
+    events.forEach((event, index) => {
+      const reject = error => {
+        results[index] = { index, eventId: event?.eventId ?? null, status: 'rejected', error };
+      };
+
+      if (!event || typeof event !== 'object') return reject('Event must be an object');
+
+      const { eventId, fileId, sessionId, eventType, clientTimestamp } = event;
+      if (typeof eventId !== 'string' || eventId.length === 0 || eventId.length > 128) {
+        return reject('eventId must be a string of at most 128 characters');
+      }
+      if (!isUuid(fileId) || !sessionId || !eventType) {
+        return reject('fileId, sessionId, and eventType are required');
+      }
+      if (!eventTypes.includes(eventType)) {
+        return reject(`Unknown eventType: ${eventType}`);
+      }
+
+      const payloadError = this.validateEventPayload(eventType, event.metadata);
+      if (payloadError) return reject(payloadError);
+
+      // Keep the time the event happened on the headset, within sane bounds
+      const timestamp = clientTimestamp !== undefined ? new Date(clientTimestamp) : new Date(now);
+      if (isNaN(timestamp) || timestamp > now + ANALYTICS_MAX_CLOCK_DRIFT_MS ||
+        timestamp < now - ANALYTICS_MAX_EVENT_AGE_MS) {
+        return reject('clientTimestamp is missing, malformed or out of range');
+      }
+
+      candidates.push({ index, event, timestamp });
+    });
+
+    // Ownership is checked once per file rather than once per event
+    const fileIds = [...new Set(candidates.map(({ event }) => event.fileId))];
+    const files = fileIds.length > 0
+      ? await FileMetadata.findAll({ where: { id: fileIds }, attributes: ['id', 'userId'] })
+      : [];
+    const fileById = new Map(files.map(file => [file.id, file]));
+
+    // Sessions may have ended since the events were queued, they only have to exist
+    const sessionIds = [...new Set(candidates.map(({ event }) => String(event.sessionId)))];
+    const sessions = UserSession && sessionIds.length > 0
+      ? await UserSession.findAll({ where: { sessionId: sessionIds }, attributes: ['sessionId', 'userId', 'deviceType', 'platform'] })
+      : [];
+    const sessionById = new Map(sessions.map(session => [session.sessionId, session]));
+
+    const accepted = candidates.filter(({ index, event }) => {
+      const file = fileById.get(event.fileId);
+      if (!file || !AuthService.canAccessRecord(context.auth, file)) {
+        results[index] = { index, eventId: event.eventId, status: 'rejected', error: 'File not found' };
+        return false;
+      }
+
+      const session = sessionById.get(String(event.sessionId));
+      if (UserSession && (!session || !AuthService.canAccessRecord(context.auth, session))) {
+        results[index] = { index, eventId: event.eventId, status: 'rejected', error: 'Unknown session' };
+        return false;
+      }
+      return true;
+    });
+
+    // Retries of events we already stored are acknowledged, not stored again
+    const eventIds = [...new Set(accepted.map(({ event }) => event.eventId))];
+    const existing = eventIds.length > 0
+      ? await VideoAnalytics.findAll({ where: { eventId: eventIds }, attributes: ['eventId'], raw: true })
+      : [];
+    const seen = new Set(existing.map(row => row.eventId));
+
+    const rows = [];
+    const positionEvents = [];
+    accepted.forEach(({ index, event, timestamp }) => {
+      if (seen.has(event.eventId)) {
+        results[index] = { index, eventId: event.eventId, status: 'duplicate' };
+        return;
+      }
+      seen.add(event.eventId);
+
+      const session = sessionById.get(String(event.sessionId));
+
+      rows.push({
+        eventId: event.eventId,
+        fileId: event.fileId,
+        sessionId: String(event.sessionId),
+        eventType: event.eventType,
+        timestamp,
+        videoTime: event.videoTime,
+        quality: event.quality,
+        metadata: event.metadata || {},
+        userAgent: context.userAgent,
+        ipAddress: context.ipAddress,
+        userId: context.userId || session?.userId,
+      });
+      positionEvents.push({ ...rows[rows.length - 1], deviceType: session?.deviceType, platform: session?.platform });
+      results[index] = { index, eventId: event.eventId, status: 'accepted' };
+    });
+
+    // A concurrent retry can still race us to the unique index, which is fine
+    if (rows.length > 0) {
+      await VideoAnalytics.bulkCreate(rows, { ignoreDuplicates: true });
+      await PlaybackPositionService.recordFromEvents(positionEvents);
+      await AnalyticsRollupService.markDirty(rows.map(row => row.timestamp));
+    }
+
+    return results;
+  }
+
+  // Typed payloads for QoE events, checked before anything is stored
+  static validateEventPayload(eventType, metadata = {}) {
+    const schema = QOE_EVENT_SCHEMAS[eventType];
+    if (!schema) return null;
+
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return `${eventType} events need a metadata object`;
+    }
+
+    for (const [field, type] of Object.entries(schema)) {
+      const optional = type.endsWith('?');
+      const value = metadata[field];
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        return `${eventType} events need metadata.${field}`;
+      }
+
+      const valid = type.startsWith('number')
+        ? Number.isFinite(value) && value >= 0
+        : typeof value === 'string';
+      if (!valid) {
+        return `metadata.${field} must be a ${type.startsWith('number') ? 'non-negative number' : 'string'}`;
+      }
+    }
+
+    return null;
+  }
+
+  // Aggregates one QoE row per group (a single row when groupKey is null) and one per group
+  // and quality, so the raw events never leave Postgres. Percentiles are nearest-rank.
+  static async queryQoe({ fileId, from, to }, groupKey = null) {
+    const conditions = ['e."eventType" IN (:eventTypes)'];
+    if (fileId) conditions.push('e."fileId" = :fileId');
+    if (from) conditions.push('e."timestamp" >= :from');
+    if (to) conditions.push('e."timestamp" < :to');
+
+    const join = groupKey
+      ? `LEFT JOIN "${UserSession.getTableName()}" AS s ON s."sessionId" = e."sessionId"`
+      : '';
+    const source = `FROM "${VideoAnalytics.getTableName()}" AS e ${join} WHERE ${conditions.join(' AND ')}`;
+    const group = groupKey ? `COALESCE(s."${groupKey}", 'unknown')` : 'NULL';
+    const field = name => `(e."metadata"->>'${name}')::double precision`;
+    const only = (eventType, extra = '') => `FILTER (WHERE e."eventType" = '${eventType}'${extra})`;
+    const options = {
+      replacements: { eventTypes: [...Object.keys(QOE_EVENT_SCHEMAS), 'error'], fileId, from, to },
+      type: Sequelize.QueryTypes.SELECT,
+    };
+
+    const withBitrate = ` AND e."metadata"->>'bitrateKbps' IS NOT NULL`;
+    const [totals, qualities] = await Promise.all([
+      sequelize.query(`SELECT ${group} AS "group",
+        COUNT(*)::int AS "totalEvents",
+        COUNT(DISTINCT e."sessionId")::int AS "sessions",
+        COUNT(*) ${only('startup')} AS "startupSamples",
+        AVG(${field('startupTimeMs')}) ${only('startup')} AS "startupMean",
+        PERCENTILE_DISC(ARRAY[0.5, 0.9, 0.95, 0.99]) WITHIN GROUP (ORDER BY ${field('startupTimeMs')}) ${only('startup')} AS "startupPercentiles",
+        COUNT(*) ${only('stall')} AS "stalls",
+        COALESCE(SUM(${field('durationMs')}) ${only('stall')}, 0) AS "stallMs",
+        COALESCE(SUM(${field('playedMs')}) ${only('playback_progress')}, 0) AS "playedMs",
+        SUM(${field('bitrateKbps')} * ${field('playedMs')}) ${only('playback_progress', withBitrate)} AS "weightedBitrate",
+        SUM(${field('playedMs')}) ${only('playback_progress', withBitrate)} AS "bitrateMs",
+        COALESCE(SUM(${field('droppedFrames')}) ${only('dropped_frames')}, 0) AS "droppedFrames",
+        COALESCE(SUM(${field('totalFrames')}) ${only('dropped_frames')}, 0) AS "totalFrames",
+        COUNT(*) ${only('bitrate_switch')} AS "bitrateSwitches",
+        COUNT(*) ${only('error')} AS "errors"
+        ${source} ${groupKey ? 'GROUP BY 1' : ''}`, options),
+      sequelize.query(`SELECT ${group} AS "group", COALESCE(e."quality", 'unknown') AS "quality",
+        COUNT(DISTINCT e."sessionId")::int AS "sessions",
+        COALESCE(SUM(${field('playedMs')}) ${only('playback_progress')}, 0) AS "playedMs",
+        COUNT(*) ${only('playback_progress')} > 0 AS "played",
+        COUNT(*) ${only('error')} AS "errors"
+        ${source} ${groupKey ? 'GROUP BY 1, 2' : 'GROUP BY 2'}`, options),
+    ]);
+
+    return totals.map(row => ({
+      ...row,
+      qualities: qualities.filter(quality => quality.group === row.group),
+    }));
+  }
+
+  static summarizeQoe(row) {
+    const count = value => parseInt(value) || 0;
+    const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+    const playedMs = row.playedMs || 0;
+    const stallMs = row.stallMs || 0;
+    const errors = count(row.errors);
+    const sessions = row.sessions || 0;
+    const playedHours = playedMs / 3600000;
+    const played = row.qualities.filter(quality => quality.played);
+    const [p50 = null, p90 = null, p95 = null, p99 = null] = row.startupPercentiles || [];
+
+    let weightedHeight = 0;
+    let heightMs = 0;
+    played.forEach(({ quality, playedMs: ms }) => {
+      const height = VideoProcessingService.tileQualitySettings[quality]?.height || parseInt(quality);
+      if (height > 0) {
+        weightedHeight += height * ms;
+        heightMs += ms;
+      }
+    });
+
+    return {
+      sessions,
+      playedSeconds: round(playedMs / 1000, 1),
+      startupTimeMs: {
+        samples: count(row.startupSamples),
+        mean: row.startupMean !== null ? round(row.startupMean, 1) : null,
+        p50,
+        p90,
+        p95,
+        p99,
+      },
+      stalls: count(row.stalls),
+      stallSeconds: round(stallMs / 1000, 1),
+      rebufferRatio: playedMs + stallMs > 0 ? round(stallMs / (playedMs + stallMs)) : null,
+      averageQuality: {
+        height: heightMs > 0 ? Math.round(weightedHeight / heightMs) : null,
+        bitrateKbps: row.bitrateMs > 0 ? Math.round(row.weightedBitrate / row.bitrateMs) : null,
+        playbackShare: Object.fromEntries(played.map(quality => [quality.quality, playedMs > 0 ? round(quality.playedMs / playedMs) : 0])),
+      },
+      droppedFrameRatio: row.totalFrames > 0 ? round(row.droppedFrames / row.totalFrames) : null,
+      bitrateSwitches: count(row.bitrateSwitches),
+      errors,
+      errorRate: sessions > 0 ? round(errors / sessions) : null,
+      errorsByQuality: row.qualities.map(quality => {
+        const qualityErrors = count(quality.errors);
+        const qualityHours = quality.playedMs / 3600000;
+        return {
+          quality: quality.quality,
+          errors: qualityErrors,
+          sessions: quality.sessions,
+          errorsPerSession: round(qualityErrors / quality.sessions),
+          errorsPerHour: qualityHours > 0 ? round(qualityErrors / qualityHours, 2) : null,
+        };
+      }),
+      errorsPerHour: playedHours > 0 ? round(errors / playedHours, 2) : null,
+    };
+  }
+
+  // QoE for one file or every file, optionally split by the platform or device type
+  // of the UserSession each event belongs to
+  static async getQoeReport({ fileId, from, to, groupBy } = {}) {
+    const [overall] = await this.queryQoe({ fileId, from, to });
+
+    const report = {
+      fileId: fileId || null,
+      from: from || null,
+      to: to || null,
+      groupBy: groupBy || null,
+      totalEvents: overall.totalEvents,
+      overall: this.summarizeQoe(overall),
+    };
+
+    if (groupBy && UserSession) {
+      const groups = await this.queryQoe({ fileId, from, to }, groupBy);
+      report.groups = groups.map(group => ({
+        [groupBy]: group.group,
+        ...this.summarizeQoe(group),
+      }));
+    }
+
+    return report;
+  }
+
+  // Rebuilds the stretches of video one session actually played from its ordered
+  // playback events. Positions come from the event's videoTime when it has one and
+  // are otherwise extrapolated from wall-clock time since the last known position.
+  static buildWatchIntervals(events) {
+    const intervals = [];
+    let anchor = null; // { videoTime, timestamp } while playing
+    let lastSeen = null;
+
+    const positionAt = event => (Number.isFinite(event.videoTime)
+      ? event.videoTime
+      : anchor.videoTime + (new Date(event.timestamp) - new Date(anchor.timestamp)) / 1000);
+
+    const close = end => {
+      if (end > anchor.videoTime) {
+        intervals.push([anchor.videoTime, end]);
+      }
+      anchor = null;
+    };
+
+    events.forEach(event => {
+      switch (event.eventType) {
+        case 'view_start':
+        case 'resume':
+          if (anchor) close(lastSeen ?? anchor.videoTime);
+          anchor = { videoTime: Number.isFinite(event.videoTime) ? event.videoTime : 0, timestamp: event.timestamp };
+          lastSeen = anchor.videoTime;
+          break;
+        case 'seek': {
+          // videoTime is where the seek landed, metadata.fromTime where it started
+          const from = Number.isFinite(event.metadata?.fromTime) ? event.metadata.fromTime : null;
+          if (anchor) {
+            close(from ?? anchor.videoTime + (new Date(event.timestamp) - new Date(anchor.timestamp)) / 1000);
+            if (Number.isFinite(event.videoTime)) {
+              anchor = { videoTime: event.videoTime, timestamp: event.timestamp };
+              lastSeen = event.videoTime;
+            }
+          }
+          break;
+        }
+        case 'pause':
+        case 'view_end':
+          if (anchor) close(positionAt(event));
+          break;
+        default:
+          if (anchor && Number.isFinite(event.videoTime)) lastSeen = event.videoTime;
+      }
+    });
+
+    // Sessions that never sent view_end (crash, headset taken off) end where we last saw them
+    if (anchor) close(lastSeen);
+
+    return intervals;
+  }
+
+  static mergeIntervals(intervals) {
+    const merged = [];
+    [...intervals].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+    return merged;
+  }
+
+  static async getRetention(fileId, { from, to, platform, deviceType, step = 1 } = {}) {
+    const file = await FileMetadata.findByPk(fileId, { attributes: ['id', 'fileName', 'duration'] });
+    if (!file) return null;
+
+    const where = { fileId, eventType: RETENTION_EVENT_TYPES };
+    if (from || to) {
+      where.timestamp = {
+        ...(from && { [Sequelize.Op.gte]: from }),
+        ...(to && { [Sequelize.Op.lt]: to }),
+      };
+    }
+
+    // Correlated on each event's session, so only this file's sessions are looked at
+    if (platform || deviceType) {
+      if (!UserSession) return null;
+      const conditions = [
+        platform && `"session"."platform" = ${sequelize.escape(platform)}`,
+        deviceType && `"session"."deviceType" = ${sequelize.escape(deviceType)}`,
+      ].filter(Boolean);
+      where[Sequelize.Op.and] = [Sequelize.literal(
+        `EXISTS (SELECT 1 FROM "${UserSession.getTableName()}" AS "session" ` +
+        `WHERE "session"."sessionId" = "VideoAnalytics"."sessionId" AND ${conditions.join(' AND ')})`
+      )];
+    }
+
+    const events = await VideoAnalytics.findAll({
+      where,
+      attributes: ['sessionId', 'eventType', 'videoTime', 'timestamp', 'metadata'],
+      order: [['sessionId', 'ASC'], ['timestamp', 'ASC']],
+      limit: RETENTION_MAX_EVENTS,
+      raw: true,
+    });
+
+    const eventsBySession = new Map();
+    events.forEach(event => {
+      if (!eventsBySession.has(event.sessionId)) eventsBySession.set(event.sessionId, []);
+      eventsBySession.get(event.sessionId).push(event);
+    });
+
+    // Fall back to the furthest position anyone reached when ffprobe never filled in the duration.
+    // Positions come from clients, so the fallback is capped before it sizes the coverage array.
+    const sessionIntervals = [...eventsBySession.values()].map(sessionEvents => this.buildWatchIntervals(sessionEvents));
+    let duration = file.duration;
+    if (!duration) {
+      duration = 0;
+      for (const intervals of sessionIntervals) {
+        for (const [, end] of intervals) {
+          if (end > duration) duration = end;
+        }
+      }
+      duration = Math.min(duration, RETENTION_MAX_INFERRED_DURATION);
+    }
+
+    let totalWatchTime = 0;
+    let completed = 0;
+    let percentWatched = 0;
+    const seconds = Math.ceil(duration);
+    const coverage = new Int32Array(seconds + 1);
+
+    sessionIntervals.forEach(intervals => {
+      const clamped = intervals
+        .map(([start, end]) => [Math.max(0, start), Math.min(duration, end)])
+        .filter(([start, end]) => end > start);
+
+      totalWatchTime += clamped.reduce((sum, [start, end]) => sum + end - start, 0);
+
+      const merged = this.mergeIntervals(clamped);
+      const covered = merged.reduce((sum, [start, end]) => sum + end - start, 0);
+      if (duration > 0) {
+        percentWatched += covered / duration;
+        if (merged.length > 0 && merged[merged.length - 1][1] >= duration * RETENTION_COMPLETION_THRESHOLD) {
+          completed++;
+        }
+      }
+
+      // Second s counts as watched when an interval covers its start
+      merged.forEach(([start, end]) => {
+        coverage[Math.ceil(start)]++;
+        coverage[Math.min(seconds, Math.ceil(end))]--;
+      });
+    });
+
+    const viewers = sessionIntervals.length;
+    const retention = [];
+    let watching = 0;
+    for (let second = 0; second < seconds; second++) {
+      watching += coverage[second];
+      if (second % step === 0) {
+        retention.push({
+          second,
+          viewers: watching,
+          percent: viewers > 0 ? Math.round(watching / viewers * 10000) / 100 : 0,
+        });
+      }
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+
+    return {
+      file: { id: file.id, fileName: file.fileName, duration },
+      from: from || null,
+      to: to || null,
+      platform: platform || null,
+      deviceType: deviceType || null,
+      viewers,
+      totalWatchTimeSeconds: round(totalWatchTime),
+      averageWatchTimeSeconds: viewers > 0 ? round(totalWatchTime / viewers) : 0,
+      averagePercentWatched: viewers > 0 ? round(percentWatched / viewers * 100) : 0,
+      completionRate: viewers > 0 ? round(completed / viewers * 100) : 0,
+      truncated: events.length === RETENTION_MAX_EVENTS,
+      step,
+      retention,
+    };
+  }
+
+  static async getVideoStats(fileId) {
+    if (!VideoAnalytics || !FileMetadata) return null;
+
+    try {
+      const file = await FileMetadata.findByPk(fileId);
+      if (!file) return null;
+
+      const analytics = await VideoAnalytics.findAll({
+        where: { fileId },
+        attributes: [
+          'eventType',
+          [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+          [sequelize.fn('AVG', sequelize.col('videoTime')), 'avgWatchTime'],
+        ],
+        group: ['eventType'],
+        raw: true,
+      });
+
+      const uniqueViewers = await VideoAnalytics.count({
+        where: { fileId, eventType: 'view_start' },
+        distinct: true,
+        col: 'sessionId',
+      });
+
+      return {
+        file: {
+          id: file.id,
+          fileName: file.fileName,
+          duration: file.duration,
+          viewCount: file.viewCount,
+        },
+        analytics,
+        uniqueViewers,
+      };
+    } catch (error) {
+      console.error('Failed to get video stats:', error);
+      return null;
+    }
+  }
+}
+
+// Heatmap Service
+// Orientation samples use yaw in degrees (0 = center of the equirectangular frame,
+// positive to the right) and pitch in degrees (positive up). Every sample spreads
+// attention over the cells inside its field of view with a cosine falloff, so the
+// center of gaze weighs more than the edge of the viewport.
+class HeatmapService {
+  static cellCenters(cellDegrees) {
+    this._cellCenters = this._cellCenters || new Map();
+    if (!this._cellCenters.has(cellDegrees)) {
+      const width = Math.round(360 / cellDegrees);
+      const height = Math.round(180 / cellDegrees);
+      const centers = new Float64Array(width * height * 3);
+
+      for (let row = 0; row < height; row++) {
+        const pitch = (90 - (row + 0.5) * cellDegrees) * Math.PI / 180;
+        for (let col = 0; col < width; col++) {
+          const yaw = (-180 + (col + 0.5) * cellDegrees) * Math.PI / 180;
+          const offset = (row * width + col) * 3;
+          centers[offset] = Math.cos(pitch) * Math.sin(yaw);
+          centers[offset + 1] = Math.sin(pitch);
+          centers[offset + 2] = Math.cos(pitch) * Math.cos(yaw);
+        }
+      }
+
+      this._cellCenters.set(cellDegrees, { width, height, centers });
+    }
+    return this._cellCenters.get(cellDegrees);
+  }
+
+  static normalizeSample(sample, defaultFov) {
+    const [videoTime, yaw, pitch, fov = defaultFov] = Array.isArray(sample) ? sample : [];
+    if (![videoTime, yaw, pitch, fov].every(Number.isFinite)) return null;
+    if (videoTime < 0 || pitch < -90 || pitch > 90 || fov <= 0 || fov > 180) return null;
+
+    return {
+      videoTime,
+      yaw: ((yaw + 180) % 360 + 360) % 360 - 180, // Wrap into [-180, 180)
+      pitch,
+      fov,
+    };
+  }
+
+  static async recordSamples(fileId, sessionId, samples, data = {}) {
+    const defaultFov = Number.isFinite(data.fov) ? data.fov : HEATMAP_DEFAULT_FOV;
+    const rows = [];
+    let rejected = 0;
+
+    samples.forEach(sample => {
+      const normalized = this.normalizeSample(sample, defaultFov);
+      if (normalized) {
+        rows.push({ fileId, sessionId, userId: data.userId, ...normalized });
+      } else {
+        rejected++;
+      }
+    });
+
+    if (rows.length > 0) {
+      await OrientationSample.bulkCreate(rows);
+    }
+
+    return { accepted: rows.length, rejected };
+  }
+
+  static accumulate(grid, sample, cellDegrees) {
+    const { width, height, centers } = this.cellCenters(cellDegrees);
+    const yaw = sample.yaw * Math.PI / 180;
+    const pitch = sample.pitch * Math.PI / 180;
+    const x = Math.cos(pitch) * Math.sin(yaw);
+    const y = Math.sin(pitch);
+    const z = Math.cos(pitch) * Math.cos(yaw);
+    const radius = (sample.fov / 2) * Math.PI / 180;
+    const minDot = Math.cos(radius);
+
+    for (let cell = 0; cell < width * height; cell++) {
+      const dot = x * centers[cell * 3] + y * centers[cell * 3 + 1] + z * centers[cell * 3 + 2];
+      if (dot < minDot) continue;
+
+      const distance = Math.acos(Math.min(1, dot));
+      grid[cell] += 0.5 * (1 + Math.cos(Math.PI * distance / radius));
+    }
+  }
+
+  // Normalized to the hottest cell so grids from busy and quiet buckets compare visually
+  static finalizeGrid(grid, width, cellDegrees) {
+    let peak = 0;
+    let peakCell = 0;
+    grid.forEach((value, cell) => {
+      if (value > peak) {
+        peak = value;
+        peakCell = cell;
+      }
+    });
+
+    const rows = [];
+    for (let offset = 0; offset < grid.length; offset += width) {
+      rows.push(Array.from(grid.subarray(offset, offset + width), value =>
+        peak > 0 ? Math.round(value / peak * 1000) / 1000 : 0));
+    }
+
+    return {
+      grid: rows,
+      peak: peak > 0 ? {
+        yaw: -180 + ((peakCell % width) + 0.5) * cellDegrees,
+        pitch: 90 - (Math.floor(peakCell / width) + 0.5) * cellDegrees,
+      } : null,
+    };
+  }
+
+  static async buildHeatmap(fileId, options = {}) {
+    const { from, to, cellDegrees = 10 } = options;
+    const bucketSeconds = options.bucketSeconds || null; // null aggregates the whole range
+
+    const where = { fileId };
+    if (from !== undefined || to !== undefined) {
+      where.videoTime = {
+        ...(from !== undefined && { [Sequelize.Op.gte]: from }),
+        ...(to !== undefined && { [Sequelize.Op.lt]: to }),
+      };
+    }
+
+    const samples = await OrientationSample.findAll({
+      where,
+      attributes: ['sessionId', 'videoTime', 'yaw', 'pitch', 'fov'],
+      order: [['videoTime', 'ASC']],
+      limit: HEATMAP_MAX_SAMPLES,
+      raw: true,
+    });
+
+    const { width, height } = this.cellCenters(cellDegrees);
+    const buckets = new Map();
+
+    samples.forEach(sample => {
+      const index = bucketSeconds ? Math.floor(sample.videoTime / bucketSeconds) : 0;
+      if (!buckets.has(index)) {
+        buckets.set(index, { grid: new Float64Array(width * height), samples: 0, sessions: new Set() });
+      }
+
+      const bucket = buckets.get(index);
+      this.accumulate(bucket.grid, sample, cellDegrees);
+      bucket.samples++;
+      bucket.sessions.add(sample.sessionId);
+    });
+
+    return {
+      fileId,
+      width,
+      height,
+      cellDegrees,
+      bucketSeconds,
+      from: from ?? null,
+      to: to ?? null,
+      totalSamples: samples.length,
+      truncated: samples.length === HEATMAP_MAX_SAMPLES,
+      buckets: [...buckets.entries()].sort(([a], [b]) => a - b).map(([index, bucket]) => ({
+        start: bucketSeconds ? index * bucketSeconds : from ?? null,
+        end: bucketSeconds ? (index + 1) * bucketSeconds : to ?? null,
+        samples: bucket.samples,
+        viewers: bucket.sessions.size,
+        ...this.finalizeGrid(bucket.grid, width, cellDegrees),
+      })),
+    };
+  }
+
+  // Transparent-to-red overlay at the size of the equirectangular frame, sampled
+  // bilinearly from the grid with wrap-around at the yaw seam
+  static renderPng(grid, imageWidth) {
+    const gridHeight = grid.length;
+    const gridWidth = grid[0].length;
+    const imageHeight = Math.round(imageWidth / 2);
+    const pixels = Buffer.alloc(imageWidth * imageHeight * 4);
+
+    const colorStops = [
+      [0, [0, 0, 255, 0]],
+      [0.25, [0, 128, 255, 120]],
+      [0.5, [0, 255, 128, 160]],
+      [0.75, [255, 255, 0, 190]],
+      [1, [255, 0, 0, 220]],
+    ];
+
+    for (let py = 0; py < imageHeight; py++) {
+      const gy = Math.min(gridHeight - 1, Math.max(0, (py + 0.5) / imageHeight * gridHeight - 0.5));
+      const y0 = Math.floor(gy);
+      const y1 = Math.min(gridHeight - 1, y0 + 1);
+      const fy = gy - y0;
+
+      for (let px = 0; px < imageWidth; px++) {
+        const gx = (px + 0.5) / imageWidth * gridWidth - 0.5;
+        const x0 = (Math.floor(gx) + gridWidth) % gridWidth;
+        const x1 = (x0 + 1) % gridWidth;
+        const fx = gx - Math.floor(gx);
+
+        const value = (grid[y0][x0] * (1 - fx) + grid[y0][x1] * fx) * (1 - fy) +
+          (grid[y1][x0] * (1 - fx) + grid[y1][x1] * fx) * fy;
+
+        let stop = 1;
+        while (stop < colorStops.length - 1 && value > colorStops[stop][0]) stop++;
+        const [lowAt, low] = colorStops[stop - 1];
+        const [highAt, high] = colorStops[stop];
+        const t = Math.min(1, Math.max(0, (value - lowAt) / (highAt - lowAt)));
+
+        const offset = (py * imageWidth + px) * 4;
+        for (let channel = 0; channel < 4; channel++) {
+          pixels[offset + channel] = Math.round(low[channel] + (high[channel] - low[channel]) * t);
+        }
+      }
+    }
+
+    return encodePng(imageWidth, imageHeight, pixels);
+  }
+}
+
+// Analytics Rollup Service
+// Hourly rollups keep reporting off the raw VideoAnalytics table. Each viewing (a
+// view_start and everything the session sent until its next view_start) is counted
+// in the hour it started, so recent hours are recomputed while viewings are still
+// running. Unique viewers are kept as one row per session and hour so they can be
+// counted distinctly over any range.
+class AnalyticsRollupService {
+  static hourStart(date) {
+    const hour = new Date(date);
+    hour.setUTCMinutes(0, 0, 0);
+    return hour;
+  }
+
+  static async rollupHour(hourStart) {
+    const hourEnd = new Date(hourStart.getTime() + 60 * 60 * 1000);
+    // Viewings still running after the recompute window are frozen at what we saw by then
+    const recomputeEnd = new Date(hourEnd.getTime() + ANALYTICS_ROLLUP_RECOMPUTE_HOURS * 60 * 60 * 1000);
+
+    const starts = await VideoAnalytics.findAll({
+      where: { eventType: 'view_start', timestamp: { [Sequelize.Op.gte]: hourStart, [Sequelize.Op.lt]: hourEnd } },
+      attributes: ['sessionId'],
+      raw: true,
+    });
+    const sessionIds = [...new Set(starts.map(event => event.sessionId))];
+
+    const events = sessionIds.length > 0
+      ? await VideoAnalytics.findAll({
+        where: {
+          sessionId: sessionIds,
+          eventType: RETENTION_EVENT_TYPES,
+          timestamp: { [Sequelize.Op.gte]: hourStart, [Sequelize.Op.lt]: recomputeEnd },
+        },
+        attributes: ['fileId', 'sessionId', 'eventType', 'videoTime', 'quality', 'timestamp', 'metadata'],
+        order: [['sessionId', 'ASC'], ['timestamp', 'ASC']],
+        raw: true,
+      })
+      : [];
+
+    const sessions = sessionIds.length > 0 && UserSession
+      ? await UserSession.findAll({ where: { sessionId: sessionIds }, attributes: ['sessionId', 'platform', 'deviceType'], raw: true })
+      : [];
+    const sessionById = new Map(sessions.map(session => [session.sessionId, session]));
+
+    // Split every session's events on this file into viewings
+    const viewings = [];
+    const current = new Map(); // `${sessionId}|${fileId}` -> viewing
+    events.forEach(event => {
+      const key = `${event.sessionId}|${event.fileId}`;
+      if (event.eventType === 'view_start') {
+        const viewing = { fileId: event.fileId, sessionId: event.sessionId, quality: event.quality, startedAt: new Date(event.timestamp), events: [] };
+        viewings.push(viewing);
+        current.set(key, viewing);
+      }
+      if (current.has(key)) current.get(key).events.push(event);
+    });
+
+    const rollups = new Map();
+    const viewers = new Map();
+    viewings.filter(viewing => viewing.startedAt < hourEnd).forEach(viewing => {
+      const session = sessionById.get(viewing.sessionId) || {};
+      const dimensions = {
+        fileId: viewing.fileId,
+        platform: session.platform || 'unknown',
+        deviceType: session.deviceType || 'unknown',
+        quality: viewing.quality || 'unknown',
+      };
+      const key = Object.values(dimensions).join('|');
+
+      if (!rollups.has(key)) {
+        rollups.set(key, { bucketStart: hourStart, ...dimensions, views: 0, watchTimeSeconds: 0 });
+      }
+      const rollup = rollups.get(key);
+      rollup.views++;
+      rollup.watchTimeSeconds += AnalyticsService.buildWatchIntervals(viewing.events)
+        .reduce((sum, [start, end]) => sum + end - start, 0);
+
+      viewers.set(`${key}|${viewing.sessionId}`, { bucketStart: hourStart, ...dimensions, sessionId: viewing.sessionId });
+    });
+
+    await sequelize.transaction(async transaction => {
+      await AnalyticsHourlyRollup.destroy({ where: { bucketStart: hourStart }, transaction });
+      await AnalyticsHourlyViewer.destroy({ where: { bucketStart: hourStart }, transaction });
+      if (rollups.size > 0) {
+        await AnalyticsHourlyRollup.bulkCreate([...rollups.values()], { transaction });
+        await AnalyticsHourlyViewer.bulkCreate([...viewers.values()], { transaction });
+      }
+    });
+
+    return rollups.size;
+  }
+
+  // Late events can belong to a viewing that started up to ANALYTICS_ROLLUP_RECOMPUTE_HOURS
+  // earlier, so those hours are marked too. Hours still inside the window are recomputed anyway.
+  static async markDirty(timestamps) {
+    if (!AnalyticsDirtyHour) return;
+
+    const hour = 60 * 60 * 1000;
+    const windowStart = this.hourStart(Date.now() - ANALYTICS_ROLLUP_RECOMPUTE_HOURS * hour).getTime();
+    const dirty = new Set();
+    timestamps.forEach(timestamp => {
+      const eventHour = this.hourStart(timestamp).getTime();
+      for (let offset = 0; offset <= ANALYTICS_ROLLUP_RECOMPUTE_HOURS; offset++) {
+        const bucketStart = eventHour - offset * hour;
+        if (bucketStart < windowStart) dirty.add(bucketStart);
+      }
+    });
+    if (dirty.size === 0) return;
+
+    // Re-marking bumps updatedAt, so a refresh that is already rolling the hour up keeps the mark
+    await AnalyticsDirtyHour.bulkCreate(
+      [...dirty].map(bucketStart => ({ bucketStart: new Date(bucketStart) })),
+      { updateOnDuplicate: ['updatedAt'] }
+    );
+  }
+
+  static async rollupDirtyHours() {
+    const dirtyHours = await AnalyticsDirtyHour.findAll({ order: [['bucketStart', 'ASC']] });
+    for (const dirtyHour of dirtyHours) {
+      await this.rollupHour(new Date(dirtyHour.bucketStart));
+      await AnalyticsDirtyHour.destroy({ where: { bucketStart: dirtyHour.bucketStart, updatedAt: dirtyHour.updatedAt } });
+    }
+    return dirtyHours.length;
+  }
+
+  static async rollupRange(from, to) {
+    let hours = 0;
+    for (let hour = this.hourStart(from); hour < to; hour = new Date(hour.getTime() + 60 * 60 * 1000)) {
+      await this.rollupHour(hour);
+      hours++;
+    }
+    return hours;
+  }
+
+  // Recompute the hours that may still change, hours that received late events, plus
+  // anything missed while no instance was running (bounded by ANALYTICS_ROLLUP_BACKFILL_DAYS)
+  static async refresh() {
+    if (!AnalyticsHourlyRollup || this.refreshing) return;
+    this.refreshing = true;
+
+    try {
+      const now = new Date();
+      const backfillLimit = new Date(now.getTime() - ANALYTICS_ROLLUP_BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+      let from = new Date(now.getTime() - ANALYTICS_ROLLUP_RECOMPUTE_HOURS * 60 * 60 * 1000);
+
+      if (!this.rolledUpTo) {
+        const latest = await AnalyticsHourlyRollup.max('bucketStart');
+        const earliest = latest ? null : await VideoAnalytics.min('timestamp');
+        const resumeFrom = latest || earliest;
+        if (resumeFrom && resumeFrom < from) {
+          from = resumeFrom < backfillLimit ? backfillLimit : new Date(resumeFrom);
+        }
+      }
+
+      const hours = await this.rollupRange(from, now);
+      if (!this.rolledUpTo && hours > ANALYTICS_ROLLUP_RECOMPUTE_HOURS + 1) {
+        console.log(`📈 Backfilled ${hours} hours of analytics rollups`);
+      }
+
+      const dirtyHours = await this.rollupDirtyHours();
+      if (dirtyHours > 0) {
+        console.log(`📈 Recomputed ${dirtyHours} hours of analytics rollups with late events`);
+      }
+      this.rolledUpTo = now;
+    } catch (error) {
+      console.error('❌ Failed to refresh analytics rollups:', error);
+    } finally {
+      this.refreshing = false;
+    }
+  }
+
+  static bucketStarts(from, to, granularity) {
+    const first = this.hourStart(from);
+    if (granularity !== 'hour') first.setUTCHours(0);
+    if (granularity === 'week') {
+      // ISO weeks start on Monday, like Postgres date_trunc('week')
+      first.setUTCDate(first.getUTCDate() - ((first.getUTCDay() + 6) % 7));
+    }
+
+    const buckets = [];
+    for (let bucket = first; bucket < to;) {
+      buckets.push(bucket.toISOString());
+      bucket = new Date(bucket);
+      if (granularity === 'hour') bucket.setUTCHours(bucket.getUTCHours() + 1);
+      else bucket.setUTCDate(bucket.getUTCDate() + (granularity === 'week' ? 7 : 1));
+    }
+    return buckets;
+  }
+
+  static async getTimeSeries({ from, to, granularity, breakdown, fileIds }) {
+    const bucket = sequelize.fn('date_trunc', granularity, sequelize.col('bucketStart'));
+    const baseWhere = {
+      bucketStart: { [Sequelize.Op.gte]: this.hourStart(from), [Sequelize.Op.lt]: to },
+      ...(fileIds && { fileId: fileIds }),
+    };
+
+    // Tags live on the file, so tag breakdowns group by file and fan out afterwards
+    const groupColumn = breakdown === 'tag' ? 'fileId' : breakdown;
+    const groupColumns = groupColumn ? [groupColumn] : [];
+
+    const totalsQuery = where => AnalyticsHourlyRollup.findAll({
+      where,
+      attributes: [
+        [bucket, 'bucket'],
+        ...groupColumns,
+        [sequelize.fn('SUM', sequelize.col('views')), 'views'],
+        [sequelize.fn('SUM', sequelize.col('watchTimeSeconds')), 'watchTimeSeconds'],
+      ],
+      group: [bucket, ...groupColumns],
+      raw: true,
+    });
+
+    const viewersQuery = (where, columns = []) => AnalyticsHourlyViewer.findAll({
+      where,
+      attributes: [
+        ...(columns.includes('bucket') ? [[bucket, 'bucket']] : []),
+        ...columns.filter(column => column !== 'bucket'),
+        [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('sessionId'))), 'uniqueViewers'],
+      ],
+      group: columns.map(column => (column === 'bucket' ? bucket : column)),
+      raw: true,
+    });
+
+    // Group key -> bucket ISO string -> point
+    const series = new Map();
+    const point = (key, bucketStart) => {
+      if (!series.has(key)) series.set(key, new Map());
+      const points = series.get(key);
+      const iso = new Date(bucketStart).toISOString();
+      if (!points.has(iso)) points.set(iso, { views: 0, uniqueViewers: 0, watchTimeSeconds: 0 });
+      return points.get(iso);
+    };
+
+    if (breakdown === 'tag') {
+      const files = await FileMetadata.findAll({
+        where: fileIds ? { id: fileIds } : {},
+        attributes: ['id', 'tags'],
+        raw: true,
+      });
+      const filesByTag = new Map();
+      files.forEach(file => {
+        const tags = Array.isArray(file.tags) && file.tags.length > 0 ? file.tags : ['untagged'];
+        tags.forEach(tag => {
+          if (!filesByTag.has(tag)) filesByTag.set(tag, []);
+          filesByTag.get(tag).push(file.id);
+        });
+      });
+
+      for (const [tag, tagFileIds] of filesByTag) {
+        const where = { ...baseWhere, fileId: tagFileIds };
+        (await totalsQuery(where)).forEach(row => {
+          const target = point(tag, row.bucket);
+          target.views += Number(row.views);
+          target.watchTimeSeconds += Number(row.watchTimeSeconds);
+        });
+        (await viewersQuery(where, ['bucket'])).forEach(row => {
+          point(tag, row.bucket).uniqueViewers = Number(row.uniqueViewers);
+        });
+      }
+
+      // Drop tags with no traffic in the range
+      [...series.keys()].forEach(tag => {
+        if ([...series.get(tag).values()].every(entry => entry.views === 0)) series.delete(tag);
+      });
+    } else {
+      (await totalsQuery(baseWhere)).forEach(row => {
+        const target = point(groupColumn ? row[groupColumn] : 'all', row.bucket);
+        target.views = Number(row.views);
+        target.watchTimeSeconds = Number(row.watchTimeSeconds);
+      });
+      (await viewersQuery(baseWhere, ['bucket', ...groupColumns])).forEach(row => {
+        point(groupColumn ? row[groupColumn] : 'all', row.bucket).uniqueViewers = Number(row.uniqueViewers);
+      });
+    }
+
+    const [totals] = await AnalyticsHourlyRollup.findAll({
+      where: baseWhere,
+      attributes: [
+        [sequelize.fn('SUM', sequelize.col('views')), 'views'],
+        [sequelize.fn('SUM', sequelize.col('watchTimeSeconds')), 'watchTimeSeconds'],
+      ],
+      raw: true,
+    });
+    const [totalViewers] = await viewersQuery(baseWhere);
+    const buckets = this.bucketStarts(from, to, granularity);
+    const round = value => Math.round(value * 100) / 100;
+
+    const formatted = [...series].map(([key, points]) => {
+      const entry = {
+        ...(breakdown && { [breakdown]: key }),
+        points: buckets.map(bucketStart => {
+          const values = points.get(bucketStart) || { views: 0, uniqueViewers: 0, watchTimeSeconds: 0 };
+          return { bucket: bucketStart, ...values, watchTimeSeconds: round(values.watchTimeSeconds) };
+        }),
+      };
+      entry.views = entry.points.reduce((sum, p) => sum + p.views, 0);
+      entry.watchTimeSeconds = round(entry.points.reduce((sum, p) => sum + p.watchTimeSeconds, 0));
+      return entry;
+    }).sort((a, b) => b.views - a.views);
+
+    return {
+      from,
+      to,
+      granularity,
+      breakdown: breakdown || null,
+      // A file with several tags counts in each of them, so totals are queried separately
+      totals: {
+        views: Number(totals?.views || 0),
+        uniqueViewers: Number(totalViewers?.uniqueViewers || 0),
+        watchTimeSeconds: round(Number(totals?.watchTimeSeconds || 0)),
+      },
+      series: formatted,
+      rolledUpTo: this.rolledUpTo || null,
+    };
+  }
+}
+
+// Analytics Export Service
+// Exports are written row by row from keyset-paginated queries, so memory stays flat
+// however large the date range is. The same writer backs the HTTP endpoints and the
+// `node server.js export` command.
+class AnalyticsExportService {
+  static get datasets() {
+    return {
+      events: {
+        model: VideoAnalytics,
+        timeField: 'timestamp',
+        columns: ['id', 'timestamp', 'fileId', 'sessionId', 'userId', 'eventType', 'videoTime', 'quality', 'metadata', 'userAgent', 'ipAddress', 'eventId'],
+      },
+      sessions: {
+        model: UserSession,
+        timeField: 'startTime',
+        columns: ['id', 'sessionId', 'userId', 'deviceType', 'platform', 'deviceModel', 'osVersion', 'appVersion', 'startTime', 'lastActivity', 'isActive', 'endTime', 'endReason'],
+      },
+      'file-stats': {
+        model: AnalyticsHourlyRollup,
+        columns: ['fileId', 'fileName', 'originalFileName', 'duration', 'views', 'uniqueViewers', 'watchTimeSeconds', 'averageWatchTimeSeconds'],
+      },
+    };
+  }
+
+  // Keeps the network prefix only: /24 for IPv4, /48 for IPv6
+  static anonymizeIp(ipAddress) {
+    if (!ipAddress) return ipAddress;
+
+    const mapped = ipAddress.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const address = mapped ? mapped[1] : ipAddress;
+
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+      return address.replace(/\.\d+$/, '.0');
+    }
+
+    if (address.includes(':')) {
+      const [head, tail = ''] = address.split('::');
+      const groups = head ? head.split(':') : [];
+      const tailGroups = tail ? tail.split(':') : [];
+      const full = [...groups, ...new Array(8 - groups.length - tailGroups.length).fill('0'), ...tailGroups];
+      return `${full.slice(0, 3).join(':')}::`;
+    }
+
+    return null;
+  }
+
+  static csvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') value = JSON.stringify(value);
+
+    let text = String(value);
+    // Stop spreadsheets from evaluating user-controlled strings as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  static async *rows(dataset, { from, to }) {
+    if (dataset === 'file-stats') {
+      yield* this.fileStatsRows({ from, to });
+      return;
+    }
+
+    const { model, timeField, columns } = this.datasets[dataset];
+    let cursor = null;
+
+    while (true) {
+      const where = { [timeField]: { [Sequelize.Op.gte]: from, [Sequelize.Op.lt]: to } };
+      if (cursor) {
+        where[Sequelize.Op.or] = [
+          { [timeField]: { [Sequelize.Op.gt]: cursor[timeField] } },
+          { [timeField]: cursor[timeField], id: { [Sequelize.Op.gt]: cursor.id } },
+        ];
+      }
+
+      const batch = await model.findAll({
+        where,
+        attributes: columns,
+        order: [[timeField, 'ASC'], ['id', 'ASC']],
+        limit: EXPORT_BATCH_SIZE,
+        raw: true,
+      });
+
+      for (const row of batch) yield row;
+      if (batch.length < EXPORT_BATCH_SIZE) return;
+      cursor = batch[batch.length - 1];
+    }
+  }
+
+  // Per-file totals for the range, read from the hourly rollups a page of files at a time
+  static async *fileStatsRows({ from, to }) {
+    let lastId = null;
+
+    while (true) {
+      const files = await FileMetadata.findAll({
+        where: lastId ? { id: { [Sequelize.Op.gt]: lastId } } : {},
+        attributes: ['id', 'fileName', 'originalFileName', 'duration'],
+        order: [['id', 'ASC']],
+        limit: EXPORT_BATCH_SIZE,
+        raw: true,
+      });
+      if (files.length === 0) return;
+
+      const where = {
+        fileId: files.map(file => file.id),
+        bucketStart: { [Sequelize.Op.gte]: AnalyticsRollupService.hourStart(from), [Sequelize.Op.lt]: to },
+      };
+      const [totals, viewers] = await Promise.all([
+        AnalyticsHourlyRollup.findAll({
+          where,
+          attributes: [
+            'fileId',
+            [sequelize.fn('SUM', sequelize.col('views')), 'views'],
+            [sequelize.fn('SUM', sequelize.col('watchTimeSeconds')), 'watchTimeSeconds'],
+          ],
+          group: ['fileId'],
+          raw: true,
+        }),
+        AnalyticsHourlyViewer.findAll({
+          where,
+          attributes: ['fileId', [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('sessionId'))), 'uniqueViewers']],
+          group: ['fileId'],
+          raw: true,
+        }),
+      ]);
+      const totalsByFile = new Map(totals.map(row => [row.fileId, row]));
+      const viewersByFile = new Map(viewers.map(row => [row.fileId, Number(row.uniqueViewers)]));
+
+      for (const file of files) {
+        const views = Number(totalsByFile.get(file.id)?.views || 0);
+        const watchTimeSeconds = Math.round(Number(totalsByFile.get(file.id)?.watchTimeSeconds || 0) * 100) / 100;
+        yield {
+          fileId: file.id,
+          fileName: file.fileName,
+          originalFileName: file.originalFileName,
+          duration: file.duration,
+          views,
+          uniqueViewers: viewersByFile.get(file.id) || 0,
+          watchTimeSeconds,
+          averageWatchTimeSeconds: views > 0 ? Math.round(watchTimeSeconds / views * 100) / 100 : 0,
+        };
+      }
+
+      if (files.length < EXPORT_BATCH_SIZE) return;
+      lastId = files[files.length - 1].id;
+    }
+  }
+
+  static async write(output, chunk) {
+    if (output.write(chunk)) return;
+
+    // Wait for the consumer, or give up if it went away
+    await new Promise(resolve => {
+      const done = () => {
+        output.off('drain', done);
+        output.off('close', done);
+        resolve();
+      };
+      output.on('drain', done);
+      output.on('close', done);
+    });
+  }
+
+  static async writeExport(output, dataset, { format, from, to, anonymizeIp = false }) {
+    const { columns } = this.datasets[dataset];
+    let count = 0;
+
+    if (format === 'csv') {
+      await this.write(output, `${columns.join(',')}\n`);
+    }
+
+    for await (const row of this.rows(dataset, { from, to })) {
+      if (output.destroyed) break;
+
+      if (anonymizeIp && 'ipAddress' in row) {
+        row.ipAddress = this.anonymizeIp(row.ipAddress);
+      }
+
+      await this.write(output, format === 'csv'
+        ? `${columns.map(column => this.csvValue(row[column])).join(',')}\n`
+        : `${JSON.stringify(row)}\n`);
+      count++;
+    }
+
+    return count;
+  }
+}
+
+// Playback Position Service
+// One row per user and file with the furthest-along-in-time position we know of, so a
+// viewer can switch from headset to phone and resume. Positions carry the time they
+// were observed, and late offline events never move a newer position backwards.
+class PlaybackPositionService {
+  static async recordPosition({ userId, fileId, position, duration, observedAt = new Date(), sessionId, deviceType, platform }) {
+    if (!PlaybackPosition || !userId || !isUuid(fileId) || !Number.isFinite(position) || position < 0) return null;
+
+    const file = await FileMetadata.findByPk(fileId, { attributes: ['id', 'duration'] });
+    if (!file) return null;
+
+    const totalDuration = file.duration || (Number.isFinite(duration) ? duration : null);
+    const values = {
+      position: totalDuration ? Math.min(position, totalDuration) : position,
+      duration: totalDuration,
+      completed: !!totalDuration && position >= totalDuration * RETENTION_COMPLETION_THRESHOLD,
+      observedAt,
+      sessionId,
+      deviceType,
+      platform,
+    };
+
+    const existing = await PlaybackPosition.findOne({ where: { userId, fileId } });
+    if (!existing) {
+      try {
+        return await PlaybackPosition.create({ userId, fileId, ...values });
+      } catch (error) {
+        // Another device created the row first, fall through to the conditional update
+        if (!(error instanceof Sequelize.UniqueConstraintError)) throw error;
+      }
+    }
+
+    await PlaybackPosition.update(values, {
+      where: { userId, fileId, observedAt: { [Sequelize.Op.lt]: observedAt } },
+    });
+    return PlaybackPosition.findOne({ where: { userId, fileId } });
+  }
+
+  // Keeps only the newest position event per user and file before writing
+  static async recordFromEvents(events) {
+    const latest = new Map();
+    events.forEach(event => {
+      if (!event.userId || !POSITION_EVENT_TYPES.includes(event.eventType) || !Number.isFinite(event.videoTime)) return;
+
+      const key = `${event.userId}|${event.fileId}`;
+      const observedAt = new Date(event.timestamp || Date.now());
+      if (!latest.has(key) || latest.get(key).observedAt < observedAt) {
+        latest.set(key, {
+          userId: event.userId,
+          fileId: event.fileId,
+          position: event.videoTime,
+          observedAt,
+          sessionId: event.sessionId,
+          deviceType: event.deviceType,
+          platform: event.platform,
+        });
+      }
+    });
+
+    for (const position of latest.values()) {
+      try {
+        await this.recordPosition(position);
+      } catch (error) {
+        console.error('Failed to record playback position:', error);
+      }
+    }
+  }
+
+  static async getContinueWatching(userId, { limit = 20 } = {}) {
+    const positions = await PlaybackPosition.findAll({
+      where: {
+        userId,
+        completed: false,
+        position: { [Sequelize.Op.gte]: CONTINUE_WATCHING_MIN_SECONDS },
+      },
+      include: [{
+        model: FileMetadata,
+        attributes: ['id', 'fileName', 'originalFileName', 'filePath', 'duration', 'thumbnailPath', 'userId'],
+      }],
+      order: [['observedAt', 'DESC']],
+      limit,
+    });
+
+    return positions.filter(position => position.FileMetadatum);
+  }
+}
+
+// Catalog Search Service
+// Searches FileMetadata with keyset (cursor) pagination: the cursor holds the sort
+// value and id of the last row, so pages stay consistent while uploads come in.
+class CatalogSearchService {
+  static get sortExpressions() {
+    return {
+      uploadedAt: sequelize.col('uploadedAt'),
+      duration: sequelize.fn('COALESCE', sequelize.col('duration'), 0),
+      viewCount: sequelize.fn('COALESCE', sequelize.col('viewCount'), 0),
+      fileSize: sequelize.fn('COALESCE', sequelize.col('fileSize'), 0),
+      name: sequelize.fn('LOWER', sequelize.fn('COALESCE', sequelize.col('title'), sequelize.col('originalFileName'))),
+    };
+  }
+
+  // Every term matches as a prefix, so partial words work while typing
+  static searchQuery(text) {
+    const terms = String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).slice(0, 10);
+    if (terms.length === 0) return null;
+    return `to_tsquery('simple', ${sequelize.escape(terms.map(term => `${term}:*`).join(' & '))})`;
+  }
+
+  static resolutionPart(index) {
+    return `(CASE WHEN "resolution" ~ '^[0-9]+x[0-9]+$' THEN split_part("resolution", 'x', ${index})::integer END)`;
+  }
+
+  static parseList(value) {
+    if (value === undefined) return [];
+    return (Array.isArray(value) ? value : String(value).split(',')).map(item => item.trim()).filter(Boolean);
+  }
+
+  static parseQuery(query) {
+    const conditions = [];
+    const tsQuery = query.q ? this.searchQuery(query.q) : null;
+    if (tsQuery) {
+      conditions.push(Sequelize.literal(`${CATALOG_SEARCH_VECTOR} @@ ${tsQuery}`));
+    }
+
+    const tags = this.parseList(query.tags);
+    if (tags.length > 0) {
+      conditions.push({ tags: { [Sequelize.Op.contains]: tags } });
+    }
+
+    if (query.is360 !== undefined) {
+      if (!['true', 'false'].includes(query.is360)) return { error: 'is360 must be true or false' };
+      conditions.push({ is360Video: query.is360 === 'true' });
+    }
+
+    const projections = this.parseList(query.projection);
+    const validProjections = FileMetadata.rawAttributes.projection.values;
+    if (projections.some(projection => !validProjections.includes(projection))) {
+      return { error: `projection must be one of ${validProjections.join(', ')}` };
+    }
+    if (projections.length > 0) conditions.push({ projection: projections });
+
+    const stereoModes = this.parseList(query.stereoMode);
+    if (stereoModes.some(mode => !STEREO_MODES.includes(mode))) {
+      return { error: `stereoMode must be one of ${STEREO_MODES.join(', ')}` };
+    }
+    if (stereoModes.length > 0) conditions.push({ stereoMode: stereoModes });
+
+    const statuses = this.parseList(query.processingStatus);
+    const validStatuses = FileMetadata.rawAttributes.processingStatus.values;
+    if (statuses.some(status => !validStatuses.includes(status))) {
+      return { error: `processingStatus must be one of ${validStatuses.join(', ')}` };
+    }
+    if (statuses.length > 0) conditions.push({ processingStatus: statuses });
+
+    if (query.owner) conditions.push({ userId: String(query.owner) });
+
+    const ranges = {
+      minDuration: [sequelize.col('duration'), Sequelize.Op.gte],
+      maxDuration: [sequelize.col('duration'), Sequelize.Op.lte],
+      minWidth: [Sequelize.literal(this.resolutionPart(1)), Sequelize.Op.gte],
+      maxWidth: [Sequelize.literal(this.resolutionPart(1)), Sequelize.Op.lte],
+      minHeight: [Sequelize.literal(this.resolutionPart(2)), Sequelize.Op.gte],
+      maxHeight: [Sequelize.literal(this.resolutionPart(2)), Sequelize.Op.lte],
+    };
+    for (const [param, [expression, operator]] of Object.entries(ranges)) {
+      if (query[param] === undefined) continue;
+      const value = Number(query[param]);
+      if (!Number.isFinite(value) || value < 0) return { error: `${param} must be a non-negative number` };
+      conditions.push(Sequelize.where(expression, operator, value));
+    }
+
+    const sort = query.sort || (tsQuery ? 'relevance' : 'uploadedAt');
+    if (sort === 'relevance' && !tsQuery) return { error: 'sort=relevance needs a q search' };
+    if (sort !== 'relevance' && !(sort in this.sortExpressions)) {
+      return { error: `sort must be one of relevance, ${Object.keys(this.sortExpressions).join(', ')}` };
+    }
+
+    const order = (query.order || (sort === 'name' ? 'asc' : 'desc')).toLowerCase();
+    if (!['asc', 'desc'].includes(order)) return { error: 'order must be asc or desc' };
+
+    // ts_rank is a real; as numeric it round-trips through the cursor exactly
+    const sortExpression = sort === 'relevance'
+      ? Sequelize.literal(`ts_rank(${CATALOG_SEARCH_VECTOR}, ${tsQuery})::numeric`)
+      : this.sortExpressions[sort];
+
+    // Cursors are only valid for the exact filters and sort they were issued for
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify([query.q, tags, query.is360, projections, stereoModes, statuses, query.owner,
+        ...Object.keys(ranges).map(param => query[param]), sort, order]))
+      .digest('hex')
+      .slice(0, 16);
+
+    return { conditions, sort, order, sortExpression, fingerprint };
+  }
+
+  static encodeCursor(fingerprint, sortValue, id) {
+    return Buffer.from(JSON.stringify({ f: fingerprint, v: sortValue, id })).toString('base64url');
+  }
+
+  static decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+      return decoded && isUuid(decoded.id) ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static async search(query, scopeWhere = {}) {
+    const parsed = this.parseQuery(query);
+    if (parsed.error) return parsed;
+
+    const { conditions, sort, order, sortExpression, fingerprint } = parsed;
+    const limit = Math.min(CATALOG_MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || CATALOG_DEFAULT_PAGE_SIZE));
+    const filters = [scopeWhere, ...conditions];
+
+    const where = { [Sequelize.Op.and]: [...filters] };
+    if (query.cursor) {
+      const cursor = this.decodeCursor(query.cursor);
+      if (!cursor || cursor.f !== fingerprint) {
+        return { error: 'Invalid cursor for this query, start again without a cursor' };
+      }
+
+      const beyond = order === 'asc' ? Sequelize.Op.gt : Sequelize.Op.lt;
+      where[Sequelize.Op.and].push({
+        [Sequelize.Op.or]: [
+          Sequelize.where(sortExpression, beyond, cursor.v),
+          {
+            [Sequelize.Op.and]: [
+              Sequelize.where(sortExpression, Sequelize.Op.eq, cursor.v),
+              { id: { [beyond]: cursor.id } },
+            ],
+          },
+        ],
+      });
+    }
+
+    // One extra row tells us whether another page exists
+    const rows = await FileMetadata.findAll({
+      where,
+      attributes: { include: [[sortExpression, 'sortValue']] },
+      order: [[sortExpression, order.toUpperCase()], ['id', order.toUpperCase()]],
+      limit: limit + 1,
+    });
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const result = {
+      files: page,
+      sort,
+      order,
+      limit,
+      nextCursor: rows.length > limit ? this.encodeCursor(fingerprint, last.get('sortValue'), last.id) : null,
+    };
+
+    if (query.includeTotal === 'true') {
+      result.total = await FileMetadata.count({ where: { [Sequelize.Op.and]: filters } });
+    }
+
+    return result;
+  }
+}
+
+// File Metadata Service
+// Owner edits to catalog metadata, and deleting a video with everything derived from it
+class FileMetadataService {
+  static get editableFields() {
+    return ['title', 'tags', 'is360Video', 'projection', 'stereoMode'];
+  }
+
+  static validateUpdate(fileRecord, body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return { error: 'Request body must be a JSON object' };
+    }
+
+    const unknown = Object.keys(body).filter(field => !this.editableFields.includes(field));
+    if (unknown.length > 0) {
+      return { error: `Cannot edit ${unknown.join(', ')}. Editable fields: ${this.editableFields.join(', ')}` };
+    }
+
+    const changes = {};
+
+    if (body.title !== undefined) {
+      if (body.title !== null && typeof body.title !== 'string') {
+        return { error: 'title must be a string or null' };
+      }
+      const title = body.title === null ? '' : body.title.trim();
+      if (title.length > FILE_TITLE_MAX_LENGTH) {
+        return { error: `title must be at most ${FILE_TITLE_MAX_LENGTH} characters` };
+      }
+      changes.title = title || null;
+    }
+
+    if (body.tags !== undefined) {
+      if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+        return { error: 'tags must be an array of strings' };
+      }
+      const tags = [...new Set(body.tags.map(tag => tag.trim()).filter(Boolean))];
+      if (tags.length > FILE_MAX_TAGS) {
+        return { error: `A video can have at most ${FILE_MAX_TAGS} tags` };
+      }
+      if (tags.some(tag => tag.length > FILE_TAG_MAX_LENGTH)) {
+        return { error: `Tags must be at most ${FILE_TAG_MAX_LENGTH} characters` };
+      }
+      changes.tags = tags;
+    }
+
+    const detected = ['is360Video', 'projection', 'stereoMode'].filter(field => body[field] !== undefined);
+    // Background processing writes its own detection until it finishes
+    if (detected.length > 0 && ['pending', 'processing'].includes(fileRecord.processingStatus)) {
+      return { error: `${detected.join(', ')} can be changed once processing has finished`, status: 409 };
+    }
+
+    if (body.stereoMode !== undefined) {
+      if (!STEREO_MODES.includes(body.stereoMode)) {
+        return { error: `stereoMode must be one of ${STEREO_MODES.join(', ')}` };
+      }
+      changes.stereoMode = body.stereoMode;
+    }
+
+    if (body.is360Video !== undefined || body.projection !== undefined) {
+      if (body.is360Video !== undefined && typeof body.is360Video !== 'boolean') {
+        return { error: 'is360Video must be true or false' };
+      }
+
+      const validProjections = FileMetadata.rawAttributes.projection.values;
+      if (body.projection !== undefined && body.projection !== null && !validProjections.includes(body.projection)) {
+        return { error: `projection must be one of ${validProjections.join(', ')} or null` };
+      }
+
+      const is360Video = body.is360Video !== undefined ? body.is360Video : fileRecord.is360Video;
+      let projection = body.projection !== undefined ? body.projection : fileRecord.projection;
+      if (!is360Video && body.projection) {
+        return { error: 'projection needs is360Video to be true' };
+      }
+
+      // Marking a flat video as 360° without a projection assumes the common equirectangular layout
+      if (is360Video && !projection) projection = 'equirectangular';
+      if (!is360Video) projection = null;
+
+      changes.is360Video = is360Video;
+      changes.projection = projection;
+    }
+
+    return { changes };
+  }
+
+  // Storage objects and prefixes that belong to a video
+  static storageObjects(fileRecord) {
+    const files = [fileRecord.filePath, fileRecord.thumbnailPath, fileRecord.previewPath];
+    const prefixes = [];
+
+    for (const level of Object.values(fileRecord.qualityLevels || {})) {
+      files.push(level.path);
+      for (const format of STREAMING_FORMATS) {
+        if (level[format]?.directory) prefixes.push(`${level[format].directory}/`);
+      }
+    }
+
+    for (const poster of Object.values(fileRecord.posters || {})) {
+      files.push(poster.path);
+    }
+    if (fileRecord.tiling?.directory) prefixes.push(`${fileRecord.tiling.directory}/`);
+
+    return { files: [...new Set(files.filter(Boolean))], prefixes: [...new Set(prefixes)] };
+  }
+
+  static async deleteStorageObjects(fileRecord) {
+    const { files, prefixes } = this.storageObjects(fileRecord);
+    let deleted = 0;
+
+    for (const prefix of prefixes) {
+      // Deleted objects drop out of the listing, so keep taking the first page until it is empty
+      for (;;) {
+        const page = await storageService.listFiles(prefix, { limit: 1000 });
+        if (page.length === 0) break;
+        await Promise.all(page.map(object => storageService.deleteFile(object.name)));
+        deleted += page.length;
+      }
+    }
+
+    // Objects that are already gone count as deleted, so a failed delete can simply be retried
+    for (const file of files) {
+      if (await storageService.fileExists(file)) {
+        await storageService.deleteFile(file);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  static async deleteFile(fileRecord, options = {}) {
+    const { purgeAnalytics = false } = options;
+    const fileId = fileRecord.id;
+
+    // Stop transcodes first so no new renditions land after the storage cleanup
+    const activeJobs = await TranscodingJob.findAll({
+      where: { fileId, status: ['queued', 'processing'] },
+      attributes: ['id'],
+    });
+    for (const job of activeJobs) {
+      await transcodingQueue.cancel(job.id);
+    }
+
+    const deletedObjects = await this.deleteStorageObjects(fileRecord);
+
+    await sequelize.transaction(async (transaction) => {
+      await TranscodingJob.destroy({ where: { fileId }, transaction });
+      await PlaybackPosition.destroy({ where: { fileId }, transaction });
+
+      if (purgeAnalytics) {
+        await VideoAnalytics.destroy({ where: { fileId }, transaction });
+        await OrientationSample.destroy({ where: { fileId }, transaction });
+        await AnalyticsHourlyRollup.destroy({ where: { fileId }, transaction });
+        await AnalyticsHourlyViewer.destroy({ where: { fileId }, transaction });
+      }
+
+      // Kept analytics still reference the row, so it stays behind as a soft-deleted tombstone
+      await fileRecord.destroy({ force: purgeAnalytics, transaction });
+    });
+
+    console.log(`🗑️ Deleted file ${fileId} (${deletedObjects} storage objects${purgeAnalytics ? ', analytics purged' : ''})`);
+    return { deletedObjects, cancelledJobs: activeJobs.length, analyticsPurged: purgeAnalytics };
+  }
+}
+
+// Session Service
+class SessionService {
+  static generateSessionId() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  static async createSession(sessionData) {
+    if (!UserSession) return null;
+
+    try {
+      return await UserSession.create({
+        sessionId: this.generateSessionId(),
+        ...sessionData,
+      });
+    } catch (error) {
+      console.error('Failed to create session:', error);
+      return null;
+    }
+  }
+
+  static idleCutoff() {
+    return new Date(Date.now() - SESSION_IDLE_TIMEOUT_MS);
+  }
+
+  static async getActiveSession(sessionId) {
+    if (!UserSession) return null;
+
+    try {
+      // Idle sessions count as expired even before the sweeper gets to them
+      return await UserSession.findOne({
+        where: { sessionId, isActive: true, lastActivity: { [Sequelize.Op.gte]: this.idleCutoff() } },
+      });
+    } catch (error) {
+      console.error('Failed to get session:', error);
+      return null;
+    }
+  }
+
+  // Keeps a session alive, at most one write per SESSION_TOUCH_INTERVAL_MS
+  static async touch(session, updates = {}) {
+    const stale = Date.now() - new Date(session.lastActivity).getTime() > SESSION_TOUCH_INTERVAL_MS;
+    if (stale || Object.keys(updates).length > 0) {
+      await session.update({ ...updates, lastActivity: new Date() });
+    }
+    return session;
+  }
+
+  static async endSession(session, reason = 'ended') {
+    await session.update({ isActive: false, endTime: new Date(), endReason: reason });
+    return session;
+  }
+
+  static expiresAt(session) {
+    return new Date(new Date(session.lastActivity).getTime() + SESSION_IDLE_TIMEOUT_MS);
+  }
+
+  static durationSeconds(session) {
+    const end = session.endTime || session.lastActivity;
+    return Math.max(0, Math.round((new Date(end) - new Date(session.startTime)) / 1000));
+  }
+
+  // Sessions end when their last sign of life was, not when the sweeper noticed
+  static async expireIdleSessions() {
+    if (!UserSession) return;
+
+    try {
+      const [expired] = await UserSession.update(
+        { isActive: false, endTime: sequelize.col('lastActivity'), endReason: 'expired' },
+        { where: { isActive: true, lastActivity: { [Sequelize.Op.lt]: this.idleCutoff() } } }
+      );
+
+      if (expired > 0) {
+        console.log(`🧹 Expired ${expired} idle session(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to expire idle sessions:', error);
+    }
+  }
+
+  static async getDurationStats({ from, to, groupBy, userId } = {}) {
+    const duration = sequelize.literal('EXTRACT(EPOCH FROM (COALESCE("endTime", "lastActivity") - "startTime"))');
+    const where = {
+      startTime: { [Sequelize.Op.gte]: from, [Sequelize.Op.lt]: to },
+      ...(userId && { userId }),
+    };
+    const groupColumns = groupBy ? [groupBy] : [];
+
+    const rows = await UserSession.findAll({
+      where,
+      attributes: [
+        ...groupColumns,
+        [sequelize.fn('COUNT', sequelize.col('id')), 'sessions'],
+        [sequelize.literal('SUM(CASE WHEN "isActive" THEN 1 ELSE 0 END)'), 'activeSessions'],
+        [sequelize.fn('SUM', duration), 'totalDurationSeconds'],
+        [sequelize.fn('AVG', duration), 'averageDurationSeconds'],
+        [sequelize.literal('PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (COALESCE("endTime", "lastActivity") - "startTime")))'), 'medianDurationSeconds'],
+        [sequelize.literal('PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (COALESCE("endTime", "lastActivity") - "startTime")))'), 'p90DurationSeconds'],
+      ],
+      group: groupColumns,
+      raw: true,
+    });
+
+    const round = value => (value === null ? null : Math.round(Number(value) * 10) / 10);
+    const format = row => ({
+      ...(groupBy && { [groupBy]: row[groupBy] || 'unknown' }),
+      sessions: Number(row.sessions),
+      activeSessions: Number(row.activeSessions || 0),
+      totalDurationSeconds: round(row.totalDurationSeconds || 0),
+      averageDurationSeconds: round(row.averageDurationSeconds),
+      medianDurationSeconds: round(row.medianDurationSeconds),
+      p90DurationSeconds: round(row.p90DurationSeconds),
+    });
+
+    return {
+      from,
+      to,
+      groupBy: groupBy || null,
+      ...(groupBy ? { groups: rows.map(format) } : format(rows[0] || { sessions: 0 })),
+    };
+  }
+}
+
+// Auth Service
+// Clients authenticate with a per-app API key (X-API-Key) or a signed HS256 JWT
+// bearer token. API keys are configured as API_KEYS="appId:key[:role],...", an app
+// key acts as the user "app:<appId>" unless its role is admin.
+class AuthService {
+  static get isEnabled() {
+    return !!process.env.JWT_SECRET || this.apiKeys.size > 0;
+  }
+
+  static get apiKeys() {
+    if (!this._apiKeys) {
+      this._apiKeys = new Map();
+      (process.env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [appId, key, role = 'app'] = entry.split(':');
+        if (appId && key) {
+          // Look keys up by hash so comparisons don't leak timing information
+          this._apiKeys.set(this.hashKey(key), { appId, role });
+        }
+      });
+    }
+    return this._apiKeys;
+  }
+
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  static base64UrlEncode(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+  }
+
+  static issueToken(userId, claims = {}, expiresInSeconds = 24 * 60 * 60) {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = this.base64UrlEncode({ alg: 'HS256', typ: 'JWT' });
+    const payload = this.base64UrlEncode({
+      ...claims,
+      sub: userId,
+      iat: now,
+      exp: now + expiresInSeconds,
+      ...(process.env.JWT_ISSUER && { iss: process.env.JWT_ISSUER }),
+      ...(process.env.JWT_AUDIENCE && { aud: process.env.JWT_AUDIENCE }),
+    });
+    const signature = crypto.createHmac('sha256', process.env.JWT_SECRET)
+      .update(`${header}.${payload}`)
+      .digest('base64url');
+
+    return `${header}.${payload}.${signature}`;
+  }
+
+  static verifyToken(token) {
+    if (!process.env.JWT_SECRET) return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    try {
+      const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+      if (alg !== 'HS256') return null;
+
+      const expected = crypto.createHmac('sha256', process.env.JWT_SECRET)
+        .update(`${header}.${payload}`)
+        .digest('base64url');
+      if (signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+      }
+
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      const now = Math.floor(Date.now() / 1000);
+      if (claims.exp && claims.exp < now) return null;
+      if (claims.nbf && claims.nbf > now) return null;
+      if (process.env.JWT_ISSUER && claims.iss !== process.env.JWT_ISSUER) return null;
+      if (process.env.JWT_AUDIENCE && claims.aud !== process.env.JWT_AUDIENCE) return null;
+      if (!claims.sub) return null;
+
+      return claims;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static async authenticateRequest(req) {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      const apiApp = this.apiKeys.get(this.hashKey(String(apiKey)));
+      if (!apiApp) return null;
+      return {
+        method: 'api_key',
+        appId: apiApp.appId,
+        userId: `app:${apiApp.appId}`,
+        role: apiApp.role,
+      };
+    }
+
+    const authorization = req.headers.authorization || '';
+    // Players and EventSource can't always set headers, so GET requests may pass the token in the query
+    const token = authorization.startsWith('Bearer ')
+      ? authorization.slice(7).trim()
+      : (req.method === 'GET' ? req.query.access_token : null);
+    if (!token) return null;
+
+    const claims = this.verifyToken(String(token));
+    if (!claims) return null;
+
+    // Device tokens are bound to the session created at pairing: they stop working once it
+    // has ended or expired, and using one keeps the session alive
+    if (claims.sid) {
+      const session = await SessionService.getActiveSession(String(claims.sid));
+      if (!session) return null;
+      await SessionService.touch(session).catch(error => console.error('Failed to refresh device session:', error));
+    }
+
+    return {
+      method: 'jwt',
+      userId: String(claims.sub),
+      role: claims.role || 'user',
+      claims,
+    };
+  }
+
+  // Ownership check for any row with a userId column. Rows without an owner
+  // predate authentication and stay shared.
+  static canAccessRecord(auth, record) {
+    if (!this.isEnabled || !record) return true;
+    if (!auth) return false;
+    if (auth.role === 'admin') return true;
+    return !record.userId || record.userId === auth.userId;
+  }
+}
+
+// Device Pairing Service
+// The headset asks for a device code and a short user code, the user approves the
+// user code on /pair while logged in, and the headset polls until it gets a token
+// bound to a new UserSession.
+class DevicePairingService {
+  static normalizeUserCode(userCode) {
+    return String(userCode || '').toUpperCase().replace(/[^A-Z]/g, '');
+  }
+
+  static formatUserCode(userCode) {
+    return `${userCode.slice(0, 4)}-${userCode.slice(4)}`;
+  }
+
+  static generateUserCode() {
+    const bytes = crypto.randomBytes(8);
+    return Array.from(bytes, byte => USER_CODE_ALPHABET[byte % USER_CODE_ALPHABET.length]).join('');
+  }
+
+  static async createPairing({ deviceType, platform, deviceName }) {
+    const deviceCode = crypto.randomBytes(32).toString('base64url');
+
+    // Retry on the rare collision with another pending code
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const userCode = this.generateUserCode();
+      const collision = await DevicePairing.findOne({
+        where: { userCode, status: 'pending', expiresAt: { [Sequelize.Op.gt]: new Date() } },
+      });
+      if (collision) continue;
+
+      const pairing = await DevicePairing.create({
+        deviceCodeHash: AuthService.hashKey(deviceCode),
+        userCode,
+        deviceType: deviceType || 'vr',
+        platform: platform || 'unknown',
+        deviceName: deviceName || null,
+        expiresAt: new Date(Date.now() + PAIRING_CODE_TTL_SECONDS * 1000),
+      });
+
+      return { pairing, deviceCode, userCode: this.formatUserCode(userCode) };
+    }
+
+    throw new Error('Could not allocate a unique pairing code');
+  }
+
+  static async findPendingByUserCode(userCode) {
+    return DevicePairing.findOne({
+      where: {
+        userCode: this.normalizeUserCode(userCode),
+        status: 'pending',
+        expiresAt: { [Sequelize.Op.gt]: new Date() },
+      },
+    });
+  }
+
+  static async resolve(userCode, userId, approve) {
+    const pairing = await this.findPendingByUserCode(userCode);
+    if (!pairing) return null;
+
+    const [updated] = await DevicePairing.update(
+      approve ? { status: 'approved', userId } : { status: 'denied' },
+      { where: { id: pairing.id, status: 'pending' } }
+    );
+    return updated === 1 ? pairing.reload() : null;
+  }
+
+  // Returns { error } with an RFC 8628 error code, or { accessToken, session }
+  static async exchangeDeviceCode(deviceCode) {
+    const pairing = await DevicePairing.findOne({
+      where: { deviceCodeHash: AuthService.hashKey(String(deviceCode)) },
+    });
+
+    if (!pairing || pairing.status === 'completed') {
+      return { error: 'invalid_grant' };
+    }
+
+    if (pairing.status === 'denied') {
+      return { error: 'access_denied' };
+    }
+
+    if (pairing.status === 'pending' && pairing.expiresAt < new Date()) {
+      return { error: 'expired_token' };
+    }
+
+    if (pairing.status === 'pending') {
+      const now = new Date();
+      const tooSoon = pairing.lastPolledAt &&
+        now - pairing.lastPolledAt < pairing.pollInterval * 1000;
+
+      await pairing.update({
+        lastPolledAt: now,
+        ...(tooSoon && { pollInterval: pairing.pollInterval + PAIRING_POLL_INTERVAL_SECONDS }),
+      });
+
+      return tooSoon
+        ? { error: 'slow_down', interval: pairing.pollInterval }
+        : { error: 'authorization_pending' };
+    }
+
+    // Approved: hand out exactly one token
+    const [claimed] = await DevicePairing.update(
+      { status: 'completed' },
+      { where: { id: pairing.id, status: 'approved' } }
+    );
+    if (claimed === 0) {
+      return { error: 'invalid_grant' };
+    }
+
+    const session = await SessionService.createSession({
+      userId: pairing.userId,
+      deviceType: pairing.deviceType,
+      platform: pairing.platform,
+    });
+    if (!session) {
+      throw new Error('Failed to create session for paired device');
+    }
+
+    await pairing.update({ sessionId: session.sessionId });
+
+    const accessToken = AuthService.issueToken(pairing.userId, {
+      sid: session.sessionId,
+      deviceType: pairing.deviceType,
+      platform: pairing.platform,
+    }, DEVICE_TOKEN_TTL_SECONDS);
+
+    return { accessToken, session };
+  }
+}
+
+// Live transcoding progress for subscribers on this instance, keyed by job id
+const transcodeEvents = new EventEmitter();
+transcodeEvents.setMaxListeners(0);
+
+const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function serializeJobProgress(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    targetQuality: job.targetQuality,
+    targetProjection: job.targetProjection,
+    progress: job.progress,
+    fps: job.fps,
+    etaSeconds: job.etaSeconds,
+    attempts: job.attempts,
+    errorMessage: job.errorMessage,
+  };
+}
+
+// Transcoding Queue
+// Jobs live in the TranscodingJob table so they survive instance restarts. Each
+// instance claims queued jobs with a conditional update, keeps a heartbeat on the
+// jobs it runs, and requeues jobs whose owner stopped sending heartbeats.
+class TranscodingQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 1;
+    this.retryDelayMs = options.retryDelayMs || 30000;
+    this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.activeJobs = new Map(); // jobId -> AbortController
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+    this.polling = false;
+    this.shuttingDown = false;
+  }
+
+  start() {
+    if (!TranscodingJob || this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.poll(), TRANSCODE_POLL_INTERVAL_MS);
+    this.recoveryTimer = setInterval(() => this.recoverOrphanedJobs(), TRANSCODE_STALE_AFTER_MS);
+    console.log(`🎞️ Transcoding queue started (worker ${this.workerId}, concurrency ${this.concurrency})`);
+    this.poll();
+  }
+
+  // Wake the queue up right away instead of waiting for the next poll
+  enqueue() {
+    setImmediate(() => this.poll());
+  }
+
+  async add(fileRecord, quality, outputFormats = STREAMING_FORMATS, options = {}) {
+    const { targetProjection = null, tileGrid = null, ...projectionOptions } = options;
+
+    // Reuse a pending job for the same rendition instead of transcoding it twice
+    const pendingJob = await TranscodingJob.findOne({
+      where: { fileId: fileRecord.id, targetQuality: quality, targetProjection, tileGrid, status: ['queued', 'processing'] }
+    });
+    if (pendingJob) {
+      return { job: pendingJob, created: false };
+    }
+
+    const job = await TranscodingJob.create({
+      fileId: fileRecord.id,
+      targetQuality: quality,
+      targetProjection,
+      projectionOptions,
+      tileGrid,
+      outputFormats,
+      status: 'queued',
+      nextAttemptAt: new Date(),
+    });
+
+    this.enqueue();
+    return { job, created: true };
+  }
+
+  async poll() {
+    if (!TranscodingJob || this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.activeJobs.size < this.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+        this.runJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Transcoding queue poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async claimNextJob() {
+    const candidates = await TranscodingJob.findAll({
+      where: {
+        status: 'queued',
+        nextAttemptAt: { [Sequelize.Op.lte]: new Date() },
+      },
+      order: [['createdAt', 'ASC']],
+      limit: 5,
+    });
+
+    for (const candidate of candidates) {
+      // Another instance may claim the same job, only one conditional update wins
+      const [claimed] = await TranscodingJob.update({
+        status: 'processing',
+        workerId: this.workerId,
+        attempts: candidate.attempts + 1,
+        startedAt: new Date(),
+        heartbeatAt: new Date(),
+        progress: 0,
+        fps: null,
+        etaSeconds: null,
+      }, {
+        where: { id: candidate.id, status: 'queued' },
+      });
+
+      if (claimed === 1) {
+        return TranscodingJob.findByPk(candidate.id);
+      }
+    }
+
+    return null;
+  }
+
+  async runJob(job) {
+    const controller = new AbortController();
+    this.activeJobs.set(job.id, controller);
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const current = await TranscodingJob.findByPk(job.id, { attributes: ['id', 'status'] });
+        // A cancel from any instance only flips the row, the owner notices it here
+        if (!current || current.status === 'cancelled') {
+          controller.abort();
+          return;
+        }
+        await TranscodingJob.update({ heartbeatAt: new Date() }, { where: { id: job.id, workerId: this.workerId } });
+      } catch (error) {
+        console.error(`⚠️ Heartbeat failed for transcoding job ${job.id}:`, error.message);
+      }
+    }, TRANSCODE_HEARTBEAT_INTERVAL_MS);
+
+    try {
+      await processTranscodingJob(job.id, { signal: controller.signal });
+    } catch (error) {
+      await this.handleFailure(job, error, controller.signal.aborted);
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobs.delete(job.id);
+      this.poll();
+    }
+  }
+
+  async handleFailure(job, error, aborted) {
+    try {
+      if (aborted) {
+        if (this.shuttingDown) {
+          // Hand the job back so another instance can pick it up
+          await TranscodingJob.update(
+            { status: 'queued', workerId: null, attempts: Math.max(job.attempts - 1, 0) },
+            { where: { id: job.id, status: 'processing' } }
+          );
+          console.log(`↩️ Requeued transcoding job ${job.id} on shutdown`);
+        } else {
+          console.log(`🛑 Transcoding job ${job.id} cancelled`);
+        }
+        return;
+      }
+
+      if (job.attempts < job.maxAttempts) {
+        // Exponential backoff: base, 2x base, 4x base...
+        const delay = this.retryDelayMs * Math.pow(2, job.attempts - 1);
+        await TranscodingJob.update({
+          status: 'queued',
+          workerId: null,
+          errorMessage: error.message,
+          nextAttemptAt: new Date(Date.now() + delay),
+        }, { where: { id: job.id, status: 'processing' } });
+
+        console.error(`⚠️ Transcoding job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+        return;
+      }
+
+      await TranscodingJob.update({
+        status: 'failed',
+        errorMessage: error.message,
+        completedAt: new Date(),
+      }, { where: { id: job.id, status: 'processing' } });
+
+      console.error(`❌ Transcoding job ${job.id} failed after ${job.attempts} attempts:`, error);
+    } catch (updateError) {
+      console.error(`❌ Failed to record failure for transcoding job ${job.id}:`, updateError);
+    }
+  }
+
+  async cancel(jobId) {
+    const job = await TranscodingJob.findByPk(jobId);
+    if (!job) return null;
+
+    if (!['queued', 'processing'].includes(job.status)) {
+      return job;
+    }
+
+    await TranscodingJob.update(
+      { status: 'cancelled', completedAt: new Date(), errorMessage: 'Cancelled by request' },
+      { where: { id: jobId, status: ['queued', 'processing'] } }
+    );
+
+    // Kill ffmpeg right away when this instance owns the job, otherwise the owner's heartbeat will
+    const controller = this.activeJobs.get(jobId);
+    if (controller) {
+      controller.abort();
+    }
+
+    return job.reload();
+  }
+
+  async recoverOrphanedJobs() {
+    if (!TranscodingJob) return 0;
+
+    try {
+      const staleBefore = new Date(Date.now() - TRANSCODE_STALE_AFTER_MS);
+      const orphaned = await TranscodingJob.findAll({
+        where: {
+          status: 'processing',
+          [Sequelize.Op.or]: [
+            { heartbeatAt: { [Sequelize.Op.lt]: staleBefore } },
+            { heartbeatAt: null },
+          ],
+        },
+      });
+
+      for (const job of orphaned) {
+        const exhausted = job.attempts >= job.maxAttempts;
+        await TranscodingJob.update(exhausted
+          ? { status: 'failed', errorMessage: 'Worker stopped responding', completedAt: new Date() }
+          : { status: 'queued', workerId: null, nextAttemptAt: new Date() },
+        { where: { id: job.id, status: 'processing' } });
+      }
+
+      if (orphaned.length > 0) {
+        console.log(`♻️ Recovered ${orphaned.length} orphaned transcoding job(s)`);
+        this.enqueue();
+      }
+
+      return orphaned.length;
+    } catch (error) {
+      console.error('❌ Failed to recover orphaned transcoding jobs:', error);
+      return 0;
+    }
+  }
+
+  async stop() {
+    this.shuttingDown = true;
+    clearInterval(this.pollTimer);
+    clearInterval(this.recoveryTimer);
+    this.pollTimer = null;
+
+    const running = [...this.activeJobs.values()];
+    running.forEach(controller => controller.abort());
+
+    // Give aborted jobs a moment to hand themselves back
+    const deadline = Date.now() + 5000;
+    while (this.activeJobs.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+}
+
+const transcodingQueue = new TranscodingQueue({
+  concurrency: TRANSCODE_CONCURRENCY,
+  retryDelayMs: TRANSCODE_RETRY_DELAY_MS,
+});
+
+// Watch Rooms
+// Rooms are held in memory on the instance that owns the WebSocket connections, so
+// every participant of a room has to reach the same instance (sticky sessions on
+// the load balancer). Each participant joins with an existing UserSession, the host
+// drives play/pause/seek/quality and everyone else follows.
+const WATCH_ROOM_EVENT_TYPES = {
+  play: 'resume',
+  pause: 'pause',
+  seek: 'seek',
+  quality: 'quality_change',
+};
+
+class WatchRoomService {
+  constructor(options = {}) {
+    this.maxMembers = options.maxMembers || 8;
+    this.rooms = new Map(); // code -> room
+    this.wss = null;
+    this.heartbeatTimer = null;
+  }
+
+  attach(server) {
+    // Only needed once the server starts listening, the export CLI runs without it
+    const { WebSocketServer } = require('ws');
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+    this.wss.on('connection', (socket, req, auth) => this.handleConnection(socket, req, auth));
+
+    server.on('upgrade', async (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== WATCH_ROOM_SOCKET_PATH) {
+        socket.destroy();
+        return;
+      }
+
+      // authenticateRequest expects Express' parsed query string
+      req.query = Object.fromEntries(url.searchParams);
+      const auth = AuthService.isEnabled ? await AuthService.authenticateRequest(req) : null;
+      if (AuthService.isEnabled && !auth) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer realm="duovr"\r\nConnection: close\r\n\r\n');
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req, auth));
+    });
+
+    // Drop connections that stopped answering pings so presence stays accurate
+    this.heartbeatTimer = setInterval(() => {
+      this.wss.clients.forEach(socket => {
+        if (!socket.isAlive) {
+          socket.terminate();
+          return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      });
+      this.touchMemberSessions();
+    }, WATCH_ROOM_HEARTBEAT_INTERVAL_MS);
+
+    console.log(`👥 Watch rooms listening on ${WATCH_ROOM_SOCKET_PATH}`);
+  }
+
+  // Viewers connected to a room keep their sessions alive without HTTP heartbeats
+  async touchMemberSessions() {
+    const sessionIds = [...this.rooms.values()]
+      .flatMap(room => [...room.members.values()].map(member => member.sessionId));
+    if (!UserSession || sessionIds.length === 0) return;
+
+    try {
+      await UserSession.update(
+        { lastActivity: new Date() },
+        { where: { sessionId: sessionIds, isActive: true } }
+      );
+    } catch (error) {
+      console.error('Failed to refresh watch room sessions:', error);
+    }
+  }
+
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    if (this.wss) {
+      this.wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+    }
+  }
+
+  handleConnection(socket, req, auth) {
+    const connection = {
+      socket,
+      auth,
+      member: null,
+      room: null,
+      userAgent: req.headers['user-agent'],
+      ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress,
+    };
+
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', data => this.handleMessage(connection, data));
+    socket.on('close', () => this.leave(connection));
+  }
+
+  async handleMessage(connection, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.sendError(connection.socket, 'invalid_message', 'Messages must be JSON');
+    }
+
+    try {
+      switch (message.type) {
+        case 'ping':
+          return this.handlePing(connection, message);
+        case 'create':
+          return await this.create(connection, message);
+        case 'join':
+          return await this.join(connection, message);
+        case 'leave':
+          await this.leave(connection);
+          return this.send(connection.socket, { type: 'left' });
+        case 'play':
+        case 'pause':
+        case 'seek':
+        case 'quality':
+          return await this.control(connection, message);
+        case 'transfer':
+          return this.transferHost(connection, message);
+        case 'sync':
+          return connection.room && this.send(connection.socket, this.stateMessage(connection.room));
+        default:
+          return this.sendError(connection.socket, 'unknown_type', `Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      console.error('❌ Watch room message failed:', error);
+      this.sendError(connection.socket, 'server_error', error.message);
+    }
+  }
+
+  // NTP-style clock sync: clients ping with their clock and the round trip of the
+  // previous ping, the server keeps the offset from the lowest round trip it saw.
+  handlePing(connection, message) {
+    const serverTime = Date.now();
+    const clientTime = Number(message.clientTime);
+    const rttMs = Number(message.rttMs);
+
+    if (connection.member && Number.isFinite(clientTime) && Number.isFinite(rttMs) && rttMs >= 0) {
+      const member = connection.member;
+      if (member.rttMs === null || rttMs <= member.rttMs) {
+        member.rttMs = rttMs;
+        member.clockOffsetMs = serverTime - clientTime - rttMs / 2;
+      }
+    }
+
+    this.send(connection.socket, { type: 'pong', clientTime: message.clientTime, serverTime });
+  }
+
+  generateCode() {
+    let code;
+    do {
+      const bytes = crypto.randomBytes(WATCH_ROOM_CODE_LENGTH);
+      code = Array.from(bytes, byte => USER_CODE_ALPHABET[byte % USER_CODE_ALPHABET.length]).join('');
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  async resolveMember(connection, sessionId) {
+    if (!sessionId) {
+      this.sendError(connection.socket, 'invalid_request', 'sessionId is required');
+      return null;
+    }
+
+    const session = await SessionService.getActiveSession(String(sessionId));
+    if (!session) {
+      this.sendError(connection.socket, 'session_not_found', 'Session not found or no longer active');
+      return null;
+    }
+
+    if (!AuthService.canAccessRecord(connection.auth, session)) {
+      this.sendError(connection.socket, 'forbidden', 'You do not have access to this session');
+      return null;
+    }
+
+    await session.update({ lastActivity: new Date() });
+
+    return {
+      memberId: session.id,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      deviceType: session.deviceType,
+      platform: session.platform,
+      joinedAt: new Date(),
+      clockOffsetMs: 0,
+      rttMs: null,
+      connection,
+    };
+  }
+
+  async create(connection, message) {
+    if (!UserSession || !FileMetadata) {
+      return this.sendError(connection.socket, 'unavailable', 'Watch rooms require the database');
+    }
+
+    const fileRecord = isUuid(message.fileId) ? await FileMetadata.findByPk(message.fileId) : null;
+    if (!fileRecord) {
+      return this.sendError(connection.socket, 'file_not_found', 'File not found');
+    }
+
+    if (!AuthService.canAccessRecord(connection.auth, fileRecord)) {
+      return this.sendError(connection.socket, 'forbidden', 'You do not have access to this file');
+    }
+
+    const member = await this.resolveMember(connection, message.sessionId);
+    if (!member) return;
+
+    await this.leave(connection);
+
+    const room = {
+      id: crypto.randomUUID(),
+      code: this.generateCode(),
+      fileId: fileRecord.id,
+      fileName: fileRecord.fileName,
+      hostMemberId: member.memberId,
+      members: new Map(),
+      state: {
+        playing: false,
+        videoTime: 0,
+        quality: message.quality || null,
+        updatedAt: Date.now(),
+      },
+      createdAt: new Date(),
+    };
+    this.rooms.set(room.code, room);
+
+    console.log(`👥 Watch room ${room.code} created for ${fileRecord.fileName}`);
+    await this.addMember(connection, room, member);
+  }
+
+  async join(connection, message) {
+    if (!UserSession) {
+      return this.sendError(connection.socket, 'unavailable', 'Watch rooms require the database');
+    }
+
+    const room = this.rooms.get(String(message.code || '').toUpperCase());
+    if (!room) {
+      return this.sendError(connection.socket, 'room_not_found', 'Room not found');
+    }
+
+    // A room code alone doesn't grant access to the video
+    const fileRecord = await FileMetadata.findByPk(room.fileId, { attributes: ['id', 'userId'] });
+    if (!fileRecord || !AuthService.canAccessRecord(connection.auth, fileRecord)) {
+      return this.sendError(connection.socket, 'forbidden', 'You do not have access to this file');
+    }
+
+    const member = await this.resolveMember(connection, message.sessionId);
+    if (!member) return;
+
+    // Reconnecting with the same session replaces the stale socket
+    const existing = room.members.get(member.memberId);
+    if (existing && existing.connection !== connection) {
+      existing.connection.room = null;
+      existing.connection.member = null;
+      existing.connection.socket.close(4000, 'Joined from another connection');
+    } else if (!existing && room.members.size >= this.maxMembers) {
+      return this.sendError(connection.socket, 'room_full', `Rooms hold at most ${this.maxMembers} viewers`);
+    }
+
+    if (connection.room && connection.room !== room) {
+      await this.leave(connection);
+    }
+
+    await this.addMember(connection, room, member);
+  }
+
+  async addMember(connection, room, member) {
+    room.members.set(member.memberId, member);
+    connection.room = room;
+    connection.member = member;
+
+    this.send(connection.socket, {
+      type: 'joined',
+      roomId: room.id,
+      code: room.code,
+      fileId: room.fileId,
+      fileName: room.fileName,
+      memberId: member.memberId,
+      isHost: room.hostMemberId === member.memberId,
+    });
+    this.send(connection.socket, this.stateMessage(room));
+    this.broadcastPresence(room);
+
+    await this.recordEvent(room, member, 'room_join', {
+      role: room.hostMemberId === member.memberId ? 'host' : 'guest',
+    });
+  }
+
+  async leave(connection) {
+    const { room, member } = connection;
+    if (!room || !member) return;
+
+    connection.room = null;
+    connection.member = null;
+
+    if (room.members.get(member.memberId) !== member) return;
+    room.members.delete(member.memberId);
+
+    await this.recordEvent(room, member, 'room_leave', {
+      watchedSeconds: (Date.now() - member.joinedAt.getTime()) / 1000,
+    });
+
+    if (room.members.size === 0) {
+      this.rooms.delete(room.code);
+      console.log(`👥 Watch room ${room.code} closed`);
+      return;
+    }
+
+    // Hand the remote to whoever has been in the room longest
+    if (room.hostMemberId === member.memberId) {
+      const [nextHost] = [...room.members.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+      room.hostMemberId = nextHost.memberId;
+    }
+
+    this.broadcastPresence(room);
+  }
+
+  transferHost(connection, message) {
+    const { room, member } = connection;
+    if (!this.isHost(connection)) return;
+
+    if (!room.members.has(message.memberId)) {
+      return this.sendError(connection.socket, 'member_not_found', 'Member is not in this room');
+    }
+
+    room.hostMemberId = message.memberId;
+    console.log(`👥 Watch room ${room.code} host moved from ${member.memberId} to ${message.memberId}`);
+    this.broadcastPresence(room);
+  }
+
+  isHost(connection) {
+    if (!connection.room) {
+      this.sendError(connection.socket, 'not_in_room', 'Join a room first');
+      return false;
+    }
+
+    if (connection.room.hostMemberId !== connection.member.memberId) {
+      this.sendError(connection.socket, 'not_host', 'Only the host controls playback');
+      return false;
+    }
+
+    return true;
+  }
+
+  async control(connection, message) {
+    if (!this.isHost(connection)) return;
+
+    const { room, member } = connection;
+    const now = Date.now();
+
+    // Translate the host's action time into server time, but never trust it further
+    // than the sync window so a bad clock can't jump everyone around
+    const clientTime = Number(message.clientTime);
+    const actionTime = Number.isFinite(clientTime)
+      ? Math.min(now, Math.max(now - WATCH_ROOM_MAX_CLOCK_SKEW_MS, clientTime + member.clockOffsetMs))
+      : now;
+
+    const state = { ...room.state };
+    if (message.type === 'quality') {
+      if (!message.quality) {
+        return this.sendError(connection.socket, 'invalid_request', 'quality is required');
+      }
+      state.quality = String(message.quality);
+      state.videoTime = this.currentVideoTime(room, now);
+      state.updatedAt = now;
+    } else {
+      const videoTime = Number(message.videoTime);
+      if (!Number.isFinite(videoTime) || videoTime < 0) {
+        return this.sendError(connection.socket, 'invalid_request', 'videoTime must be a non-negative number');
+      }
+      if (message.type !== 'seek') {
+        state.playing = message.type === 'play';
+      }
+      state.videoTime = videoTime;
+      state.updatedAt = actionTime;
+    }
+    room.state = state;
+
+    this.broadcast(room, this.stateMessage(room, { action: message.type, by: member.memberId }));
+
+    await this.recordEvent(room, member, WATCH_ROOM_EVENT_TYPES[message.type], { action: message.type });
+  }
+
+  currentVideoTime(room, now = Date.now()) {
+    const { playing, videoTime, updatedAt } = room.state;
+    return playing ? videoTime + (now - updatedAt) / 1000 : videoTime;
+  }
+
+  // Clients turn serverTime into local time with their measured clock offset and
+  // extrapolate videoTime from there while playing
+  stateMessage(room, extra = {}) {
+    return {
+      type: 'state',
+      ...extra,
+      playing: room.state.playing,
+      videoTime: room.state.videoTime,
+      quality: room.state.quality,
+      serverTime: room.state.updatedAt,
+      sentAt: Date.now(),
+    };
+  }
+
+  presence(room) {
+    return {
+      roomId: room.id,
+      code: room.code,
+      fileId: room.fileId,
+      hostMemberId: room.hostMemberId,
+      members: [...room.members.values()].map(member => ({
+        memberId: member.memberId,
+        userId: member.userId,
+        deviceType: member.deviceType,
+        platform: member.platform,
+        isHost: member.memberId === room.hostMemberId,
+        joinedAt: member.joinedAt,
+      })),
+    };
+  }
+
+  broadcastPresence(room) {
+    this.broadcast(room, { type: 'presence', ...this.presence(room) });
+  }
+
+  broadcast(room, message) {
+    room.members.forEach(member => this.send(member.connection.socket, message));
+  }
+
+  send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  sendError(socket, code, message) {
+    this.send(socket, { type: 'error', code, message });
+  }
+
+  async recordEvent(room, member, eventType, metadata = {}) {
+    if (!VideoAnalytics) return;
+
+    try {
+      await VideoAnalytics.create({
+        fileId: room.fileId,
+        sessionId: member.sessionId,
+        userId: member.userId,
+        eventType,
+        videoTime: this.currentVideoTime(room),
+        quality: room.state.quality,
+        metadata: {
+          ...metadata,
+          watchRoomId: room.id,
+          watchRoomCode: room.code,
+          participants: room.members.size,
+          isHost: room.hostMemberId === member.memberId,
+        },
+        userAgent: member.connection.userAgent,
+        ipAddress: member.connection.ipAddress,
+      });
+    } catch (error) {
+      console.error('Failed to record watch room event:', error);
+    }
+  }
+}
+
+const watchRooms = new WatchRoomService({ maxMembers: WATCH_ROOM_MAX_MEMBERS });
+
+// Initialize storage service, exports only read the database and skip the driver's startup notices
+const storageService = CLI_COMMAND === 'export' ? null : createStorageDriver(process.env.STORAGE_DRIVER || 'gcs');
+
+// Utility functions
+function isValidVideoFile(file) {
+  const validTypes = [
+    'video/mp4', 'video/quicktime', 'video/x-msvideo', 
+    'video/avi', 'video/mov', 'video/x-ms-wmv', 'video/webm'
+  ];
+  return validTypes.includes(file.mimetype.toLowerCase());
+}
+
+function generateUniqueFileName(originalName, prefix = '360-videos') {
+  const timestamp = Date.now();
+  const randomStr = Math.random().toString(36).substring(2, 8);
+  const extension = originalName.split('.').pop();
+  const nameWithoutExt = originalName.replace(/\.[^/.]+$/, "");
+  const sanitizedName = nameWithoutExt.replace(/[^a-zA-Z0-9-_]/g, '_');
+  return `${prefix}/${timestamp}-${randomStr}-${sanitizedName}.${extension}`;
+}
+
+// Single byte ranges only, including suffix ranges ("bytes=-500"). Returns null when the
+// range is malformed or unsatisfiable so callers can answer 416.
+function parseRangeHeader(range, fileSize) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(range).trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0) return null;
+    start = Math.max(fileSize - suffixLength, 0);
+    end = fileSize - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? fileSize - 1 : Math.min(parseInt(match[2], 10), fileSize - 1);
+  }
+
+  if (start >= fileSize || start > end) return null;
+  return { start, end };
+}
+
+function sendRangeNotSatisfiable(res, fileSize) {
+  res.set('Content-Range', `bytes */${fileSize}`);
+  return res.status(416).json({ error: 'Requested range not satisfiable' });
+}
+
+function getContentType(fileName) {
+  const contentTypes = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.mpd': 'application/dash+xml',
+    '.m4s': 'video/iso.segment',
+    '.mp4': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm',
+    '.avi': 'video/x-msvideo',
+    '.jpg': 'image/jpeg',
+  };
+  return contentTypes[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+// Minimal RGBA PNG encoder for generated overlays
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function encodePng(width, height, rgba) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // Color type RGBA
+
+  // Every scanline starts with filter type 0 (none)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let row = 0; row < height; row++) {
+    rgba.copy(raw, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+async function uploadDirectory(localDir, destinationPrefix) {
+  const entries = await fs.readdir(localDir);
+  const uploaded = [];
+
+  for (const entry of entries) {
+    const data = await fs.readFile(path.join(localDir, entry));
+    const destination = `${destinationPrefix}/${entry}`;
+    await storageService.uploadFile({
+      data,
+      name: entry,
+      mimetype: getContentType(entry),
+    }, destination);
+    uploaded.push(destination);
+  }
+
+  return uploaded;
+}
+
+function parseQualityList(quality, settings = VideoProcessingService.qualitySettings) {
+  if (!quality) return [];
+  const qualities = Array.isArray(quality) ? quality : String(quality).split(',');
+  return [...new Set(qualities.map(q => q.trim()))]
+    .filter(q => q in settings);
+}
+
+function isUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+}
+
+// Includes tombstones of deleted files, authorizeFile answers 410 for them
+async function findFileRecord(fileName) {
+  if (!FileMetadata) return null;
+  return FileMetadata.findOne({ where: { filePath: fileName }, paranoid: false });
+}
+
+// Renditions, thumbnails, posters and streaming objects have no row of their own. They are
+// named after their source (`<name>_1080p.mp4`, `<name>_hls/...`), so they belong to the
+// file whose path minus its extension is the longest prefix ending at an underscore.
+async function findOwningFileRecord(fileName) {
+  const fileRecord = await findFileRecord(fileName);
+  if (fileRecord || !FileMetadata) return fileRecord;
+
+  const bases = [];
+  for (let index = fileName.indexOf('_'); index > 0; index = fileName.indexOf('_', index + 1)) {
+    bases.push(fileName.slice(0, index));
+  }
+  if (bases.length === 0) return null;
+
+  const candidates = await FileMetadata.findAll({
+    where: { [Sequelize.Op.or]: bases.map(base => ({ filePath: { [Sequelize.Op.startsWith]: `${base}.` } })) },
+    paranoid: false,
+  });
+  return candidates
+    .filter(candidate => bases.includes(candidate.filePath.replace(/\.[^/.]+$/, '')))
+    .sort((a, b) => b.filePath.length - a.filePath.length)[0] || null;
+}
+
+// Routes that stay reachable without credentials
+const PUBLIC_ROUTES = [
+  '/', '/health', '/notifications/storage',
+  '/auth/device/code', '/auth/device/token', '/pair', '/pair.js',
+];
+const PUBLIC_ROUTE_PREFIXES = ['/storage/local/'];
+
+async function authenticate(req, res, next) {
+  if (!AuthService.isEnabled) {
+    req.auth = null;
+    return next();
+  }
+
+  if (PUBLIC_ROUTES.includes(req.path) || PUBLIC_ROUTE_PREFIXES.some(prefix => req.path.startsWith(prefix))) {
+    return next();
+  }
+
+  const auth = await AuthService.authenticateRequest(req);
+  if (!auth) {
+    res.set('WWW-Authenticate', 'Bearer realm="duovr"');
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.auth = auth;
+  next();
+}
+
+// With authentication enabled the caller's identity always wins over client-supplied ids
+function resolveUserId(req, fallback) {
+  if (AuthService.isEnabled) {
+    return req.auth ? req.auth.userId : null;
+  }
+  return fallback || null;
+}
+
+function authorizeFile(req, res, fileRecord) {
+  if (fileRecord?.deletedAt) {
+    res.status(410).json({ error: 'File has been deleted' });
+    return false;
+  }
+  // Storage objects that belong to no file are only reachable for admins
+  if (!fileRecord && FileMetadata && AuthService.isEnabled && req.auth?.role !== 'admin') {
+    res.status(404).json({ error: 'File not found' });
+    return false;
+  }
+  if (AuthService.canAccessRecord(req.auth, fileRecord)) {
+    return true;
+  }
+  res.status(403).json({ error: 'You do not have access to this file' });
+  return false;
+}
+
+// Signed upload URLs are only reissued to the uploader while the upload is still pending
+function authorizeFileWrite(req, res, fileRecord) {
+  if (!fileRecord || fileRecord.processingStatus !== 'pending') {
+    res.status(403).json({ error: 'Write access is only available for pending uploads' });
+    return false;
+  }
+  if (AuthService.isEnabled && fileRecord.userId !== req.auth?.userId) {
+    res.status(403).json({ error: 'You do not have access to this file' });
+    return false;
+  }
+  return true;
+}
+
+// Query string that forwards a query-string access token to relative manifest URIs
+function accessTokenQuery(req) {
+  if (!AuthService.isEnabled || !req.query.access_token || req.auth?.method !== 'jwt') return '';
+  return `?access_token=${encodeURIComponent(req.query.access_token)}`;
+}
+
+// Shared caches must not keep media that needs credentials
+function mediaCacheControl() {
+  return AuthService.isEnabled ? 'private, max-age=31536000' : 'public, max-age=31536000';
+}
+
+function ownedFilesWhere(req) {
+  if (!AuthService.isEnabled || req.auth?.role === 'admin') {
+    return {};
+  }
+  return { userId: req.auth.userId };
+}
+
+// ROUTES
+
+app.use(authenticate);
+
+// Health check with enhanced info
+app.get('/health', async (req, res) => {
+  const health = {
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    version: '2.0.0',
+    database: sequelize ? 'configured' : 'not configured',
+    environment: process.env.NODE_ENV || 'development',
+    authentication: 'using Cloud Run service account',
+    storage: storageService.driverName,
+    bucket: storageService.bucketName,
+    clientAuthentication: AuthService.isEnabled ? 'required' : 'disabled',
+    features: {
+      videoStreaming: true,
+      transcoding: true,
+      analytics: !!VideoAnalytics,
+      thumbnails: true,
+      qualityLevels: true,
+      hls: true,
+      dash: true,
+    }
+  };
+
+  // Test database connection
+  if (sequelize) {
+    try {
+      await sequelize.authenticate();
+      health.database = 'connected';
+    } catch (error) {
+      health.database = 'connection failed';
+      health.status = 'degraded';
+    }
+  }
+
+  res.json(health);
+});
+
+// Enhanced info endpoint
+app.get('/', (req, res) => {
+  res.json({
+    message: 'DuoVR Server v2.0 is running!',
+    timestamp: new Date().toISOString(),
+    endpoints: {
+      health: '/health',
+      files: {
+        list: '/files',
+        signedUrl: '/files/:fileName/signed-url',
+        metadata: '/files/:fileName/metadata',
+        stream: '/files/:fileName/stream',
+        hlsManifest: '/files/:fileName/manifest.m3u8',
+        dashManifest: '/files/:fileName/manifest.mpd',
+        tiles: '/files/:fileName/tiles',
+        tileManifest: '/files/:fileName/tiles/manifest.json',
+        upload: '/files/upload',
+        generateUploadUrl: '/files/generate-upload-url',
+        completeUpload: '/files/:fileId/complete',
+        resumableUpload: '/files/tus',
+        transcode: '/files/:fileName/transcode',
+        transcodeStatus: '/transcode/:jobId/status',
+        transcodeEvents: '/transcode/:jobId/events',
+        transcodeCancel: '/transcode/:jobId/cancel',
+        thumbnail: '/files/:fileName/thumbnail',
+        posters: '/files/:fileName/posters',
+      },
+      analytics: {
+        track: '/analytics/track',
+        batch: '/analytics/batch',
+        stats: '/analytics/files/:fileId/stats',
+        dashboard: '/analytics/dashboard',
+        timeseries: '/analytics/timeseries',
+        export: '/analytics/export/:dataset',
+        orientation: '/analytics/orientation',
+        heatmap: '/analytics/files/:fileId/heatmap',
+        qoe: '/analytics/files/:fileId/qoe',
+        retention: '/analytics/files/:fileId/retention',
+        qoeOverall: '/analytics/qoe',
+      },
+      sessions: {
+        create: '/sessions/create',
+        status: '/sessions/:sessionId',
+        heartbeat: '/sessions/:sessionId/heartbeat',
+        end: '/sessions/:sessionId/end',
+        stats: '/sessions/stats',
+      },
+      catalog: {
+        search: '/files/search',
+        edit: 'PATCH /files/:fileId',
+        delete: 'DELETE /files/:fileId',
+      },
+      playback: {
+        continueWatching: '/users/:userId/continue-watching',
+        position: '/users/:userId/positions/:fileId',
+      },
+      watchRooms: {
+        socket: WATCH_ROOM_SOCKET_PATH,
+        lookup: '/rooms/:code',
+      },
+      devicePairing: {
+        code: '/auth/device/code',
+        token: '/auth/device/token',
+        approve: '/auth/device/approve',
+        page: '/pair',
+      }
+    },
+    database: sequelize ? 'available' : 'not configured',
+    storage: storageService.driverName,
+    bucket: storageService.bucketName
+  });
+});
+
+// Session management
+app.post('/sessions/create', async (req, res) => {
+  try {
+    const { deviceType, platform, deviceModel, osVersion, appVersion } = req.body;
+    const userId = resolveUserId(req, req.body.userId);
+    
+    const session = await SessionService.createSession({
+      userId,
+      deviceType: deviceType || 'unknown',
+      platform: platform || 'unknown',
+      deviceModel,
+      osVersion,
+      appVersion,
+    });
+
+    if (session) {
+      res.json({
+        sessionId: session.sessionId,
+        expiresAt: SessionService.expiresAt(session),
+        heartbeatIntervalSeconds: SESSION_HEARTBEAT_INTERVAL_SECONDS,
+        message: 'Session created successfully'
+      });
+    } else {
+      res.json({
+        sessionId: SessionService.generateSessionId(),
+        message: 'Session created (no database)'
+      });
+    }
+  } catch (error) {
+    console.error('Error creating session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Session lifecycle. Clients heartbeat while the app is open and end the session
+// when it closes, sessions that go quiet are expired by the sweeper.
+// Idle sessions the sweeper hasn't reached yet are reported the way it will leave them
+function serializeSession(session) {
+  const idleExpired = session.isActive && new Date(session.lastActivity) < SessionService.idleCutoff();
+  const ended = idleExpired
+    ? { isActive: false, endTime: session.lastActivity, endReason: 'expired' }
+    : { isActive: session.isActive, endTime: session.endTime, endReason: session.endReason };
+
+  return {
+    sessionId: session.sessionId,
+    userId: session.userId,
+    deviceType: session.deviceType,
+    platform: session.platform,
+    deviceModel: session.deviceModel,
+    osVersion: session.osVersion,
+    appVersion: session.appVersion,
+    startTime: session.startTime,
+    lastActivity: session.lastActivity,
+    ...ended,
+    durationSeconds: SessionService.durationSeconds(session),
+    expiresAt: ended.isActive ? SessionService.expiresAt(session) : null,
+  };
+}
+
+async function findOwnedSession(req, res, sessionId) {
+  if (!UserSession) {
+    res.status(503).json({ error: 'Sessions require the database' });
+    return null;
+  }
+
+  const session = await UserSession.findOne({ where: { sessionId } });
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+
+  if (!AuthService.canAccessRecord(req.auth, session)) {
+    res.status(403).json({ error: 'You do not have access to this session' });
+    return null;
+  }
+
+  return session;
+}
+
+// Validates a session id sent with analytics or playback. Without a database
+// there is nothing to check against, so any id passes.
+async function authorizeSession(req, res, sessionId, { allowEnded = false } = {}) {
+  if (!UserSession) return true;
+
+  // Batched and offline data may arrive after its session ended
+  const session = allowEnded
+    ? await UserSession.findOne({ where: { sessionId: String(sessionId) } })
+    : await SessionService.getActiveSession(String(sessionId));
+
+  if (!session) {
+    res.status(400).json({ error: 'Unknown or expired session', code: 'invalid_session' });
+    return false;
+  }
+
+  if (!AuthService.canAccessRecord(req.auth, session)) {
+    res.status(403).json({ error: 'You do not have access to this session' });
+    return false;
+  }
+
+  if (session.isActive) {
+    await SessionService.touch(session);
+  }
+  req.userSession = session;
+  return true;
+}
+
+app.get('/sessions/stats', async (req, res) => {
+  try {
+    if (!UserSession) {
+      return res.status(503).json({ error: 'Sessions require the database' });
+    }
+
+    const { groupBy } = req.query;
+    if (groupBy && !['platform', 'deviceType', 'deviceModel', 'appVersion'].includes(groupBy)) {
+      return res.status(400).json({ error: 'groupBy must be platform, deviceType, deviceModel or appVersion' });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be ISO dates with from before to' });
+    }
+
+    // Without admin rights the stats only cover the caller's own sessions
+    const userId = AuthService.isEnabled && req.auth?.role !== 'admin' ? req.auth.userId : undefined;
+
+    res.json(await SessionService.getDurationStats({ from, to, groupBy, userId }));
+
+  } catch (error) {
+    console.error('❌ Error getting session stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/sessions/:sessionId/heartbeat', async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, res, req.params.sessionId);
+    if (!session) return;
+
+    if (!session.isActive || session.lastActivity < SessionService.idleCutoff()) {
+      return res.status(410).json({ error: 'Session has ended, create a new one', code: 'session_ended' });
+    }
+
+    // Devices can report app or OS updates without starting a new session
+    const updates = {};
+    ['deviceModel', 'osVersion', 'appVersion'].forEach(field => {
+      if (typeof req.body[field] === 'string') updates[field] = req.body[field];
+    });
+    await session.update({ ...updates, lastActivity: new Date() });
+
+    res.json({
+      sessionId: session.sessionId,
+      lastActivity: session.lastActivity,
+      expiresAt: SessionService.expiresAt(session),
+      heartbeatIntervalSeconds: SESSION_HEARTBEAT_INTERVAL_SECONDS,
+    });
+
+  } catch (error) {
+    console.error('❌ Error recording heartbeat:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/sessions/:sessionId/end', async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, res, req.params.sessionId);
+    if (!session) return;
+
+    if (session.isActive) {
+      await SessionService.endSession(session, 'ended');
+      console.log(`👋 Session ended after ${SessionService.durationSeconds(session)}s`);
+    }
+
+    res.json(serializeSession(session));
+
+  } catch (error) {
+    console.error('❌ Error ending session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/sessions/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    // Ended sessions stay readable so clients can fetch the final duration and end reason
+    const session = await findOwnedSession(req, res, sessionId);
+    if (!session) return;
+
+    res.json(serializeSession(session));
+  } catch (error) {
+    console.error('Error getting session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Continue watching and resume positions, `me` stands for the authenticated user
+function resolvePathUserId(req, res) {
+  const userId = req.params.userId === 'me' ? req.auth?.userId : req.params.userId;
+  if (!userId) {
+    res.status(400).json({ error: 'Unknown user, authenticate to use "me"' });
+    return null;
+  }
+
+  if (AuthService.isEnabled && req.auth?.role !== 'admin' && userId !== req.auth?.userId) {
+    res.status(403).json({ error: 'You can only access your own playback positions' });
+    return null;
+  }
+
+  return userId;
+}
+
+function serializePosition(position) {
+  return {
+    fileId: position.fileId,
+    position: position.position,
+    duration: position.duration,
+    progress: position.duration ? Math.round(position.position / position.duration * 1000) / 1000 : null,
+    completed: position.completed,
+    updatedAt: position.observedAt,
+    lastDevice: { deviceType: position.deviceType, platform: position.platform },
+  };
+}
+
+app.get('/users/:userId/continue-watching', async (req, res) => {
+  try {
+    if (!PlaybackPosition) {
+      return res.status(503).json({ error: 'Continue watching requires the database' });
+    }
+
+    const userId = resolvePathUserId(req, res);
+    if (!userId) return;
+
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const positions = await PlaybackPositionService.getContinueWatching(userId, { limit });
+
+    const items = await Promise.all(positions
+      .filter(position => AuthService.canAccessRecord(req.auth, position.FileMetadatum))
+      .map(async position => {
+        const file = position.FileMetadatum;
+        let thumbnailUrl = null;
+        if (file.thumbnailPath) {
+          try {
+            thumbnailUrl = await storageService.generateSignedUrl(file.thumbnailPath, { action: 'read', expiresInMinutes: 60 });
+          } catch (error) {
+            console.error(`⚠️ Could not sign thumbnail for ${file.fileName}:`, error.message);
+          }
+        }
+
+        return {
+          ...serializePosition(position),
+          file: {
+            id: file.id,
+            fileName: file.fileName,
+            originalFileName: file.originalFileName,
+            filePath: file.filePath,
+            duration: file.duration,
+          },
+          thumbnailUrl,
+        };
+      }));
+
+    res.json({ userId, items });
+
+  } catch (error) {
+    console.error('❌ Error getting continue watching:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/users/:userId/positions/:fileId', async (req, res) => {
+  try {
+    if (!PlaybackPosition) {
+      return res.status(503).json({ error: 'Playback positions require the database' });
+    }
+
+    const userId = resolvePathUserId(req, res);
+    if (!userId) return;
+
+    const position = isUuid(req.params.fileId)
+      ? await PlaybackPosition.findOne({ where: { userId, fileId: req.params.fileId } })
+      : null;
+    if (!position) {
+      return res.status(404).json({ error: 'No playback position for this file' });
+    }
+
+    res.json(serializePosition(position));
+
+  } catch (error) {
+    console.error('❌ Error getting playback position:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/users/:userId/positions/:fileId', async (req, res) => {
+  try {
+    if (!PlaybackPosition) {
+      return res.status(503).json({ error: 'Playback positions require the database' });
+    }
+
+    const userId = resolvePathUserId(req, res);
+    if (!userId) return;
+
+    const { fileId } = req.params;
+    const position = Number(req.body.position);
+    if (!isUuid(fileId) || !Number.isFinite(position) || position < 0) {
+      return res.status(400).json({ error: 'A file ID and a non-negative position in seconds are required' });
+    }
+
+    const fileRecord = await FileMetadata.findByPk(fileId, { attributes: ['id', 'userId'] });
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    const observedAt = req.body.timestamp ? new Date(req.body.timestamp) : new Date();
+    if (isNaN(observedAt)) {
+      return res.status(400).json({ error: 'timestamp must be an ISO date' });
+    }
+
+    const saved = await PlaybackPositionService.recordPosition({
+      userId,
+      fileId,
+      position,
+      duration: Number(req.body.duration),
+      observedAt,
+      sessionId: req.body.sessionId,
+      deviceType: req.body.deviceType,
+      platform: req.body.platform,
+    });
+
+    res.json(serializePosition(saved));
+
+  } catch (error) {
+    console.error('❌ Error saving playback position:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Watch room lookup, e.g. to check a code before opening the socket
+app.get('/rooms/:code', async (req, res) => {
+  try {
+    const room = watchRooms.rooms.get(req.params.code.toUpperCase());
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const fileRecord = await FileMetadata.findByPk(room.fileId, { attributes: ['id', 'userId'] });
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    res.json({
+      ...watchRooms.presence(room),
+      fileName: room.fileName,
+      createdAt: room.createdAt,
+      playing: room.state.playing,
+      videoTime: watchRooms.currentVideoTime(room),
+      quality: room.state.quality,
+      socket: WATCH_ROOM_SOCKET_PATH,
+    });
+  } catch (error) {
+    console.error('❌ Error looking up watch room:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Device pairing for headsets
+app.post('/auth/device/code', async (req, res) => {
+  try {
+    if (!DevicePairing || !UserSession) {
+      return res.status(503).json({ error: 'Device pairing requires the database' });
+    }
+
+    if (!process.env.JWT_SECRET) {
+      return res.status(503).json({ error: 'Device pairing requires JWT_SECRET' });
+    }
+
+    const { deviceType, platform, deviceName } = req.body;
+    const { pairing, deviceCode, userCode } = await DevicePairingService.createPairing({
+      deviceType,
+      platform,
+      deviceName,
+    });
+
+    console.log(`📟 Created pairing code ${userCode} for ${pairing.platform} ${pairing.deviceType}`);
+
+    // The web app can host its own pairing page and approve with the signed-in user's credential
+    const verificationUri = process.env.PAIRING_VERIFICATION_URI || `${req.protocol}://${req.get('host')}/pair`;
+    res.json({
+      deviceCode,
+      userCode,
+      verificationUri,
+      verificationUriComplete: `${verificationUri}?code=${encodeURIComponent(userCode)}`,
+      expiresIn: PAIRING_CODE_TTL_SECONDS,
+      interval: PAIRING_POLL_INTERVAL_SECONDS,
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating device pairing:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/auth/device/token', async (req, res) => {
+  try {
+    if (!DevicePairing || !UserSession) {
+      return res.status(503).json({ error: 'Device pairing requires the database' });
+    }
+
+    const { deviceCode } = req.body;
+    if (!deviceCode) {
+      return res.status(400).json({ error: 'invalid_request', message: 'deviceCode is required' });
+    }
+
+    const result = await DevicePairingService.exchangeDeviceCode(deviceCode);
+    if (result.error) {
+      return res.status(400).json({
+        error: result.error,
+        ...(result.interval && { interval: result.interval }),
+      });
+    }
+
+    console.log(`🥽 Paired ${result.session.platform} ${result.session.deviceType} for user ${result.session.userId}`);
+
+    res.json({
+      accessToken: result.accessToken,
+      tokenType: 'Bearer',
+      expiresIn: DEVICE_TOKEN_TTL_SECONDS,
+      sessionId: result.session.sessionId,
+      userId: result.session.userId,
+    });
+
+  } catch (error) {
+    console.error('❌ Error exchanging device code:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/auth/device/approve', async (req, res) => {
+  await resolveDevicePairing(req, res, true);
+});
+
+app.post('/auth/device/deny', async (req, res) => {
+  await resolveDevicePairing(req, res, false);
+});
+
+async function resolveDevicePairing(req, res, approve) {
+  try {
+    if (!DevicePairing) {
+      return res.status(503).json({ error: 'Device pairing requires the database' });
+    }
+
+    // Denying needs a signed-in user too, otherwise anyone who sees a code could cancel the pairing
+    const userId = resolveUserId(req, req.body.userId);
+    if (!userId) {
+      return res.status(401).json({ error: approve ? 'Log in before pairing a device' : 'Log in before denying a pairing request' });
+    }
+
+    const pairing = await DevicePairingService.resolve(req.body.userCode, userId, approve);
+    if (!pairing) {
+      return res.status(404).json({ error: 'Pairing code not found or expired' });
+    }
+
+    res.json({
+      message: approve ? 'Device paired successfully' : 'Pairing request denied',
+      deviceType: pairing.deviceType,
+      platform: pairing.platform,
+      deviceName: pairing.deviceName,
+    });
+
+  } catch (error) {
+    console.error('❌ Error resolving device pairing:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Fallback pairing page for deployments without PAIRING_VERIFICATION_URI. It runs on the API's
+// origin, so the user signs in by pasting an access token alongside the code.
+const PAIRING_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Pair your headset - DuoVR</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 420px; margin: 4rem auto; padding: 0 1rem; }
+    input, button { font-size: 1.25rem; padding: .5rem; width: 100%; box-sizing: border-box; margin-top: .5rem; }
+    #code { text-transform: uppercase; letter-spacing: .2em; text-align: center; }
+  </style>
+</head>
+<body>
+  <h1>Pair your headset</h1>
+  <p>Enter the code shown in your headset and your DuoVR access token.</p>
+  <form id="pair-form">
+    <input id="code" name="code" autocomplete="off" placeholder="XXXX-XXXX" required>
+    <input id="token" name="token" type="password" autocomplete="off" placeholder="Access token" required>
+    <button type="submit">Pair device</button>
+  </form>
+  <p id="result" role="status"></p>
+  <script src="/pair.js"></script>
+</body>
+</html>
+`;
+
+const PAIRING_SCRIPT = `(function () {
+  var params = new URLSearchParams(window.location.search);
+  var codeInput = document.getElementById('code');
+  var tokenInput = document.getElementById('token');
+  var result = document.getElementById('result');
+  codeInput.value = params.get('code') || '';
+
+  document.getElementById('pair-form').addEventListener('submit', function (event) {
+    event.preventDefault();
+    fetch('/auth/device/approve', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + tokenInput.value.trim() },
+      body: JSON.stringify({ userCode: codeInput.value })
+    })
+      .then(function (response) { return response.json(); })
+      .then(function (body) { result.textContent = body.message || body.error; })
+      .catch(function () { result.textContent = 'Pairing failed, please try again.'; });
+  });
+})();
+`;
+
+app.get('/pair', (req, res) => {
+  res.type('html').send(PAIRING_PAGE);
+});
+
+app.get('/pair.js', (req, res) => {
+  res.type('application/javascript').send(PAIRING_SCRIPT);
+});
+
+// Enhanced file upload with processing
+app.post('/files/upload', async (req, res) => {
+  try {
+    if (!req.files || !req.files.video) {
+      return res.status(400).json({ error: 'No video file uploaded' });
+    }
+
+    const videoFile = req.files.video;
+    const { tags, quality } = req.body;
+    const userId = resolveUserId(req, req.body.userId);
+
+    // Validate file type
+    if (!isValidVideoFile(videoFile)) {
+      return res.status(400).json({ 
+        error: 'Invalid file type. Please upload video files only' 
+      });
+    }
+
+    // Generate unique filename
+    const destination = generateUniqueFileName(videoFile.name);
+    console.log(`🎯 Generated upload destination: ${destination}`);
+
+    // Extract video metadata. Stereo frame analysis decodes frames, so it runs in the
+    // background processor rather than on the request
+    const metadata = await VideoProcessingService.extractMetadata(videoFile.tempFilePath);
+    const video360Detection = VideoProcessingService.detect360Video(metadata);
+    const analyzeLayout = VideoProcessingService.needsLayoutAnalysis(metadata);
+
+    // Upload to cloud storage
+    await storageService.uploadFile(videoFile, destination, {
+      originalFileName: videoFile.name,
+      uploadedBy: userId || 'anonymous',
+    });
+
+    // Save metadata to database
+    let fileMetadata = null;
+    if (FileMetadata) {
+      try {
+        fileMetadata = await FileMetadata.create({
+          fileName: path.basename(destination),
+          originalFileName: videoFile.name,
+          bucketName: storageService.bucketName,
+          filePath: destination,
+          fileSize: videoFile.size,
+          mimeType: videoFile.mimetype,
+          duration: metadata.duration,
+          resolution: metadata.resolution,
+          frameRate: metadata.frameRate,
+          bitrate: metadata.bitrate,
+          codec: metadata.codec,
+          is360Video: video360Detection.is360Video,
+          projection: video360Detection.projection,
+          stereoMode: video360Detection.stereoMode,
+          sphericalMetadata: metadata.spherical,
+          userId: userId || null,
+          tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+          processingStatus: 'pending',
+        });
+
+        console.log(`💾 Saved metadata to database: ${fileMetadata.id}`);
+
+        // Start background processing
+        if ((quality && quality !== 'original') || analyzeLayout) {
+          processVideoInBackground(fileMetadata.id, destination, parseQualityList(quality), { analyzeLayout });
+        }
+      } catch (dbError) {
+        console.error('⚠️ Failed to save metadata to database:', dbError);
+      }
+    }
+
+    res.json({
+      message: 'Video uploaded successfully',
+      fileId: fileMetadata?.id || null,
+      fileName: destination,
+      metadata: {
+        duration: metadata.duration,
+        resolution: metadata.resolution,
+        is360Video: video360Detection.is360Video,
+        stereoMode: video360Detection.stereoMode,
+        stereoAnalysisPending: analyzeLayout,
+        fileSize: videoFile.size,
+      },
+      processingStatus: 'pending'
+    });
+
+  } catch (error) {
+    console.error('❌ Error uploading file:', error);
+    res.status(500).json({ 
+      error: 'Failed to upload file: ' + error.message 
+    });
+  }
+});
+
+// Generate signed upload URL (enhanced)
+app.post('/files/generate-upload-url', async (req, res) => {
+  try {
+    const { fileName, fileType, fileSize, quality } = req.body;
+
+    if (!fileName || !fileType) {
+      return res.status(400).json({ error: 'fileName and fileType are required' });
+    }
+
+    // Validate file type
+    const validTypes = [
+      'video/mp4', 'video/quicktime', 'video/x-msvideo', 
+      'video/avi', 'video/mov', 'video/webm'
+    ];
+    if (!validTypes.includes(fileType.toLowerCase())) {
+      return res.status(400).json({ 
+        error: 'Invalid file type. Please upload video files only' 
+      });
+    }
+
+    // Check file size (max 8GB for direct uploads)
+    const maxSize = 8 * 1024 * 1024 * 1024; // 8GB
+    if (fileSize && fileSize > maxSize) {
+      return res.status(400).json({ 
+        error: 'File too large. Maximum size is 8GB for direct uploads' 
+      });
+    }
+
+    // Generate unique file name
+    const destination = generateUniqueFileName(fileName);
+    console.log(`🎯 Generated upload destination: ${destination}`);
+
+    // Generate signed upload URL
+    const signedUrl = await storageService.generateSignedUrl(destination, {
+      action: 'write',
+      expiresInMinutes: 60, // 1 hour
+      contentType: fileType,
+    });
+
+    console.log(`✅ Generated signed upload URL for: ${destination}`);
+
+    // Pre-save metadata to database if available
+    let fileMetadata = null;
+    if (FileMetadata) {
+      try {
+        fileMetadata = await FileMetadata.create({
+          fileName: path.basename(destination),
+          originalFileName: fileName,
+          bucketName: storageService.bucketName,
+          filePath: destination,
+          fileSize: fileSize || null,
+          mimeType: fileType,
+          userId: resolveUserId(req, req.body.userId),
+          processingStatus: 'pending',
+          requestedQualities: parseQualityList(quality),
+        });
+        console.log(`💾 Pre-saved metadata to database: ${fileMetadata.id}`);
+      } catch (dbError) {
+        console.error('⚠️ Failed to save metadata to database:', dbError);
+      }
+    }
+
+    res.json({
+      uploadUrl: signedUrl,
+      destination: destination,
+      fileId: fileMetadata?.id || null,
+      expiresIn: '1 hour',
+      maxSize: '8GB',
+      suggestedQuality: quality || 'original',
+      completeUrl: fileMetadata ? `/files/${fileMetadata.id}/complete` : null,
+    });
+
+  } catch (error) {
+    console.error('❌ Error generating upload URL:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate upload URL: ' + error.message 
+    });
+  }
+});
+
+// Finalize a signed direct upload once the client has PUT the object to storage
+app.post('/files/:fileId/complete', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const { quality } = req.body;
+
+    if (!FileMetadata) {
+      return res.status(503).json({ error: 'Upload completion requires the database' });
+    }
+
+    if (!isUuid(fileId)) {
+      return res.status(400).json({ error: 'Invalid fileId' });
+    }
+
+    const fileRecord = await FileMetadata.findByPk(fileId);
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found in database' });
+    }
+
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    const result = await finalizeDirectUpload(fileRecord, { quality });
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error, ...result.details });
+    }
+
+    res.json({
+      message: 'Upload completed, processing started',
+      fileId: fileRecord.id,
+      fileName: fileRecord.filePath,
+      fileSize: result.fileSize,
+      requestedQualities: result.qualities,
+      processingStatus: 'processing',
+    });
+
+  } catch (error) {
+    console.error('❌ Error completing upload:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cloud Storage OBJECT_FINALIZE notifications delivered by a Pub/Sub push subscription
+app.post('/notifications/storage', async (req, res) => {
+  try {
+    const expectedToken = process.env.STORAGE_NOTIFICATION_TOKEN;
+    if (!expectedToken) {
+      return res.status(404).json({ error: 'Storage notifications are not enabled' });
+    }
+
+    const providedToken = String(req.query.token || '');
+    if (providedToken.length !== expectedToken.length ||
+        !crypto.timingSafeEqual(Buffer.from(providedToken), Buffer.from(expectedToken))) {
+      return res.status(401).json({ error: 'Invalid notification token' });
+    }
+
+    const message = req.body && req.body.message;
+    if (!message || !message.attributes) {
+      return res.status(400).json({ error: 'Invalid Pub/Sub message' });
+    }
+
+    // Anything we cannot act on is acknowledged so Pub/Sub does not redeliver it
+    const { eventType, objectId } = message.attributes;
+    if (eventType !== 'OBJECT_FINALIZE' || !FileMetadata) {
+      return res.status(204).end();
+    }
+
+    const fileRecord = await FileMetadata.findOne({
+      where: { filePath: objectId, processingStatus: 'pending' }
+    });
+    if (!fileRecord) {
+      return res.status(204).end();
+    }
+
+    const result = await finalizeDirectUpload(fileRecord);
+    if (result.error) {
+      console.log(`⚠️ Ignoring finalize notification for ${objectId}: ${result.error}`);
+    } else {
+      console.log(`📬 Finalize notification started processing for: ${objectId}`);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Error handling storage notification:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resumable uploads (tus protocol: core, creation, expiration and termination)
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  header.split(',').forEach(pair => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+  return metadata;
+}
+
+function tusHeaders(req, res, next) {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': 'creation,expiration,termination',
+    'Tus-Max-Size': TUS_MAX_SIZE,
+  });
+
+  if (req.headers['tus-resumable'] !== TUS_VERSION) {
+    return res.status(412).json({ error: `Unsupported tus version, expected ${TUS_VERSION}` });
+  }
+
+  if (!ResumableUpload) {
+    return res.status(503).json({ error: 'Resumable uploads require the database' });
+  }
+
+  next();
+}
+
+async function findResumableUpload(req, res) {
+  const { uploadId } = req.params;
+  const upload = isUuid(uploadId) ? await ResumableUpload.findByPk(uploadId) : null;
+
+  if (!upload) {
+    res.status(404).end();
+    return null;
+  }
+
+  if (!AuthService.canAccessRecord(req.auth, upload)) {
+    res.status(403).end();
+    return null;
+  }
+
+  if (upload.status === 'uploading' && upload.expiresAt && upload.expiresAt < new Date()) {
+    res.status(410).end();
+    return null;
+  }
+
+  res.set('Upload-Expires', upload.expiresAt.toUTCString());
+  return upload;
+}
+
+// Streams one PATCH body into its own storage object. When the client drops the
+// connection the object is still finalized with the bytes that arrived, so the
+// upload can resume from there instead of starting over.
+function receiveUploadChunk(req, partPath, maxBytes, contentType) {
+  return new Promise((resolve, reject) => {
+    const writeStream = storageService.createWriteStream(partPath, { contentType });
+    let received = 0;
+
+    req.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        req.unpipe(writeStream);
+        writeStream.destroy(new Error('Chunk exceeds the declared Upload-Length'));
+      }
+    });
+
+    req.on('close', () => {
+      if (!req.complete && !writeStream.destroyed) {
+        req.unpipe(writeStream);
+        writeStream.end();
+      }
+    });
+
+    writeStream.on('error', reject);
+    writeStream.on('finish', () => resolve(received));
+    req.pipe(writeStream);
+  });
+}
+
+async function completeResumableUpload(upload) {
+  const [claimed] = await ResumableUpload.update(
+    { status: 'completing' },
+    { where: { id: upload.id, status: 'uploading' } }
+  );
+  if (claimed === 0) return null;
+
+  try {
+    const partPaths = upload.parts.map(part => part.path);
+    await storageService.composeFiles(partPaths, upload.destination, upload.mimeType);
+    await Promise.all(partPaths.map(partPath => storageService.deleteFile(partPath).catch(() => {})));
+
+    const { tags, quality } = upload.metadata || {};
+    const fileMetadata = await FileMetadata.create({
+      fileName: path.basename(upload.destination),
+      originalFileName: upload.originalFileName,
+      bucketName: storageService.bucketName,
+      filePath: upload.destination,
+      fileSize: upload.uploadLength,
+      mimeType: upload.mimeType,
+      userId: upload.userId,
+      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+      processingStatus: 'processing',
+      requestedQualities: parseQualityList(quality),
+    });
+
+    await upload.update({ status: 'completed', fileId: fileMetadata.id });
+    console.log(`✅ Resumable upload completed: ${upload.destination} (${fileMetadata.id})`);
+
+    processVideoInBackground(fileMetadata.id, upload.destination, fileMetadata.requestedQualities);
+    return fileMetadata;
+  } catch (error) {
+    console.error(`❌ Failed to complete resumable upload ${upload.id}:`, error);
+    await upload.update({ status: 'failed' });
+    throw error;
+  }
+}
+
+async function deleteUploadParts(upload) {
+  await Promise.all((upload.parts || []).map(part =>
+    storageService.deleteFile(part.path).catch(() => {})
+  ));
+}
+
+async function cleanupExpiredUploads() {
+  if (!ResumableUpload) return;
+
+  try {
+    const expired = await ResumableUpload.findAll({
+      where: {
+        status: ['uploading', 'failed'],
+        expiresAt: { [Sequelize.Op.lt]: new Date() },
+      },
+    });
+
+    for (const upload of expired) {
+      await deleteUploadParts(upload);
+      await upload.destroy();
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 Removed ${expired.length} expired resumable upload(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to clean up expired uploads:', error);
+  }
+}
+
+app.post('/files/tus', tusHeaders, async (req, res) => {
+  try {
+    if (req.headers['upload-defer-length']) {
+      return res.status(400).json({ error: 'Deferred upload length is not supported' });
+    }
+
+    const uploadLength = parseInt(req.headers['upload-length'], 10);
+    if (!Number.isFinite(uploadLength) || uploadLength <= 0) {
+      return res.status(400).json({ error: 'Upload-Length header is required' });
+    }
+
+    if (uploadLength > TUS_MAX_SIZE) {
+      return res.status(413).json({ error: 'File too large. Maximum size is 8GB' });
+    }
+
+    const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+    const originalFileName = metadata.filename || metadata.name;
+    const mimeType = metadata.filetype || metadata.type;
+
+    if (!originalFileName || !mimeType) {
+      return res.status(400).json({ error: 'filename and filetype are required in Upload-Metadata' });
+    }
+
+    if (!isValidVideoFile({ mimetype: mimeType })) {
+      return res.status(400).json({
+        error: 'Invalid file type. Please upload video files only'
+      });
+    }
+
+    const upload = await ResumableUpload.create({
+      destination: generateUniqueFileName(originalFileName),
+      originalFileName,
+      mimeType,
+      uploadLength,
+      metadata: { tags: metadata.tags, quality: metadata.quality },
+      userId: resolveUserId(req, metadata.userId),
+      expiresAt: new Date(Date.now() + TUS_UPLOAD_EXPIRY_MS),
+    });
+
+    console.log(`📤 Created resumable upload ${upload.id} for ${originalFileName} (${uploadLength} bytes)`);
+
+    res.set({
+      'Location': `/files/tus/${upload.id}`,
+      'Upload-Offset': 0,
+      'Upload-Expires': upload.expiresAt.toUTCString(),
+    });
+    res.status(201).end();
+
+  } catch (error) {
+    console.error('❌ Error creating resumable upload:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.head('/files/tus/:uploadId', tusHeaders, async (req, res) => {
+  try {
+    const upload = await findResumableUpload(req, res);
+    if (!upload) return;
+
+    res.set({
+      'Upload-Offset': upload.uploadOffset,
+      'Upload-Length': upload.uploadLength,
+      'Cache-Control': 'no-store',
+    });
+
+    if (upload.fileId) {
+      res.set({ 'Upload-File-Id': upload.fileId, 'Upload-File-Name': upload.destination });
+    }
+
+    res.status(200).end();
+
+  } catch (error) {
+    console.error('❌ Error reading resumable upload:', error);
+    res.status(500).end();
+  }
+});
+
+app.patch('/files/tus/:uploadId', tusHeaders, async (req, res) => {
+  try {
+    if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+      return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+
+    const offset = parseInt(req.headers['upload-offset'], 10);
+    if (!Number.isFinite(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
+    }
+
+    const upload = await findResumableUpload(req, res);
+    if (!upload) return;
+
+    if (upload.status !== 'uploading' || offset !== parseInt(upload.uploadOffset)) {
+      return res.status(409).json({
+        error: 'Upload-Offset does not match the current upload offset',
+        uploadOffset: parseInt(upload.uploadOffset),
+        status: upload.status,
+      });
+    }
+
+    // Unique part names keep concurrent PATCHes at the same offset from overwriting each other
+    const partPath = `uploads/tus/${upload.id}/part-${String(offset).padStart(12, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+    const received = await receiveUploadChunk(req, partPath, parseInt(upload.uploadLength) - offset, upload.mimeType);
+
+    if (received === 0) {
+      await storageService.deleteFile(partPath).catch(() => {});
+      res.set('Upload-Offset', offset);
+      return res.status(204).end();
+    }
+
+    const newOffset = offset + received;
+    const [updated] = await ResumableUpload.update(
+      { uploadOffset: newOffset, parts: [...upload.parts, { path: partPath, offset, size: received }] },
+      { where: { id: upload.id, uploadOffset: offset, status: 'uploading' } }
+    );
+
+    if (updated === 0) {
+      await storageService.deleteFile(partPath).catch(() => {});
+      return res.status(409).json({ error: 'Upload was modified by another request' });
+    }
+
+    res.set('Upload-Offset', newOffset);
+
+    if (newOffset === parseInt(upload.uploadLength)) {
+      await upload.reload();
+      const fileMetadata = await completeResumableUpload(upload);
+      if (fileMetadata) {
+        res.set({ 'Upload-File-Id': fileMetadata.id, 'Upload-File-Name': fileMetadata.filePath });
+      }
+    }
+
+    if (!res.writableEnded && !res.destroyed) {
+      res.status(204).end();
+    }
+
+  } catch (error) {
+    console.error('❌ Error receiving upload chunk:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+app.delete('/files/tus/:uploadId', tusHeaders, async (req, res) => {
+  try {
+    const upload = await findResumableUpload(req, res);
+    if (!upload) return;
+
+    if (upload.status !== 'uploading' && upload.status !== 'failed') {
+      return res.status(409).json({ error: `Upload already ${upload.status}` });
+    }
+
+    await deleteUploadParts(upload);
+    await upload.destroy();
+    console.log(`🗑️ Terminated resumable upload ${upload.id}`);
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('❌ Error terminating resumable upload:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Signed URL emulation for the local storage driver
+async function verifyLocalSignedRequest(req, res, action) {
+  if (!(storageService instanceof LocalStorageDriver)) {
+    res.status(404).json({ error: 'Route not found' });
+    return null;
+  }
+
+  const fileName = req.params[0];
+  const { expires, signature } = req.query;
+  if (req.query.action !== action || !storageService.verifySignature(action, fileName, expires, String(signature || ''))) {
+    res.status(403).json({ error: 'Invalid or expired signature' });
+    return null;
+  }
+
+  return fileName;
+}
+
+app.get('/storage/local/*', async (req, res) => {
+  try {
+    const fileName = await verifyLocalSignedRequest(req, res, 'read');
+    if (!fileName) return;
+
+    const exists = await storageService.fileExists(fileName);
+    if (!exists) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const metadata = await storageService.getFileMetadata(fileName);
+    const fileSize = metadata.size;
+    const range = req.headers.range;
+
+    const byteRange = range ? parseRangeHeader(range, fileSize) : null;
+    if (range && !byteRange) {
+      return sendRangeNotSatisfiable(res, fileSize);
+    }
+
+    // Open the file before any header goes out so a failure can still answer 500
+    const stream = await storageService.streamFile(fileName, byteRange);
+    stream.on('error', (error) => {
+      console.error(`❌ Error reading local storage file ${fileName}:`, error);
+      res.destroy(error);
+    });
+
+    if (byteRange) {
+      const { start, end } = byteRange;
+      res.writeHead(206, {
+        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+        'Accept-Ranges': 'bytes',
+        'Content-Length': (end - start) + 1,
+        'Content-Type': metadata.contentType,
+      });
+    } else {
+      res.writeHead(200, {
+        'Content-Length': fileSize,
+        'Content-Type': metadata.contentType,
+        'Accept-Ranges': 'bytes',
+      });
+    }
+    stream.pipe(res);
+  } catch (error) {
+    console.error('❌ Error serving local storage file:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+app.put('/storage/local/*', async (req, res) => {
+  try {
+    const fileName = await verifyLocalSignedRequest(req, res, 'write');
+    if (!fileName) return;
+
+    const writeStream = storageService.createWriteStream(fileName);
+    await new Promise((resolve, reject) => {
+      writeStream.on('finish', resolve);
+      writeStream.on('error', reject);
+      req.on('error', reject);
+      req.pipe(writeStream);
+    });
+
+    console.log(`✅ Signed upload stored: ${fileName}`);
+    res.status(200).end();
+  } catch (error) {
+    console.error('❌ Error storing local signed upload:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get file metadata endpoint
+app.get('/files/:fileName/metadata', async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    
+    console.log(`🔍 Getting metadata for: ${fileName}`);
+
+    const ownerRecord = await findOwningFileRecord(fileName);
+    if (!authorizeFile(req, res, ownerRecord)) return;
+
+    // Check if file exists in cloud storage
+    const exists = await storageService.fileExists(fileName);
+    if (!exists) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Get cloud storage metadata
+    const cloudMetadata = await storageService.getFileMetadata(fileName);
+    
+    // Database metadata only describes the source file itself, not its derived objects
+    const dbMetadata = ownerRecord?.filePath === fileName ? ownerRecord : null;
+
+    const response = {
+      fileName: fileName,
+      size: parseInt(cloudMetadata.size),
+      contentType: cloudMetadata.contentType,
+      updated: cloudMetadata.updated,
+      etag: cloudMetadata.etag,
+    };
+
+    if (dbMetadata) {
+      response.id = dbMetadata.id;
+      response.originalFileName = dbMetadata.originalFileName;
+      response.title = dbMetadata.title || dbMetadata.originalFileName;
+      response.duration = dbMetadata.duration;
+      response.resolution = dbMetadata.resolution;
+      response.frameRate = dbMetadata.frameRate;
+      response.bitrate = dbMetadata.bitrate;
+      response.codec = dbMetadata.codec;
+      response.is360Video = dbMetadata.is360Video;
+      response.projection = dbMetadata.projection;
+      response.stereoMode = dbMetadata.stereoMode;
+      response.sphericalMetadata = dbMetadata.sphericalMetadata;
+      response.thumbnailPath = dbMetadata.thumbnailPath;
+      response.qualityLevels = dbMetadata.qualityLevels;
+      response.viewCount = dbMetadata.viewCount;
+      response.lastViewed = dbMetadata.lastViewed;
+      response.tags = dbMetadata.tags;
+      response.processingStatus = dbMetadata.processingStatus;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('❌ Error getting file metadata:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Video streaming endpoint with range support
+app.get('/files/:fileName/stream', async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const { quality = 'original' } = req.query;
+    
+    console.log(`🎬 Streaming request for: ${fileName}, quality: ${quality}`);
+
+    const ownerRecord = await findOwningFileRecord(fileName);
+    if (!authorizeFile(req, res, ownerRecord)) return;
+    const fileRecord = ownerRecord?.filePath === fileName ? ownerRecord : null;
+
+    const sessionId = req.headers['x-session-id'];
+    if (sessionId && !(await authorizeSession(req, res, sessionId))) return;
+
+    // Determine the actual file path based on quality
+    let filePath = fileName;
+    if (quality !== 'original' && fileRecord && fileRecord.qualityLevels[quality]) {
+      filePath = fileRecord.qualityLevels[quality].path;
+    }
+
+    // Check if file exists
+    const exists = await storageService.fileExists(filePath);
+    if (!exists) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Get file metadata for range requests
+    const metadata = await storageService.getFileMetadata(filePath);
+    const fileSize = parseInt(metadata.size);
+
+    // Handle range requests for video streaming
+    const range = req.headers.range;
+    const byteRange = range ? parseRangeHeader(range, fileSize) : null;
+    if (range && !byteRange) {
+      return sendRangeNotSatisfiable(res, fileSize);
+    }
+
+    // Open the stream before writing headers so a storage failure can still answer 500
+    const stream = await storageService.streamFile(filePath, byteRange);
+    stream.on('error', (error) => {
+      console.error(`❌ Error streaming file ${filePath}:`, error);
+      res.destroy(error);
+    });
+
+    if (byteRange) {
+      const { start, end } = byteRange;
+      const chunkSize = (end - start) + 1;
+
+      res.writeHead(206, {
+        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+        'Accept-Ranges': 'bytes',
+        'Content-Length': chunkSize,
+        'Content-Type': metadata.contentType || 'video/mp4',
+        'Cache-Control': mediaCacheControl(),
+      });
+    } else {
+      // Stream entire file
+      res.writeHead(200, {
+        'Content-Length': fileSize,
+        'Content-Type': metadata.contentType || 'video/mp4',
+        'Cache-Control': mediaCacheControl(),
+        'Accept-Ranges': 'bytes',
+      });
+    }
+    stream.pipe(res);
+
+    // Track analytics
+    if (sessionId && fileRecord) {
+      AnalyticsService.trackEvent(fileRecord.id, sessionId, 'view_start', {
+        quality,
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip,
+        userId: req.auth?.userId,
+      });
+      
+      // Update view count
+      await fileRecord.increment('viewCount');
+      await fileRecord.update({ lastViewed: new Date() });
+    }
+
+  } catch (error) {
+    console.error('❌ Error streaming file:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Enhanced signed URL endpoint
+app.get('/files/:fileName/signed-url', async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const { expiresInMinutes = 60, action = 'read', quality = 'original' } = req.query;
+
+    console.log(`🔍 Checking if file exists: ${fileName} in bucket: ${storageService.bucketName}`);
+
+    if (!['read', 'write'].includes(action)) {
+      return res.status(400).json({ error: 'action must be read or write' });
+    }
+
+    const ownerRecord = await findOwningFileRecord(fileName);
+    if (!authorizeFile(req, res, ownerRecord)) return;
+    const fileRecord = ownerRecord?.filePath === fileName ? ownerRecord : null;
+
+    if (action === 'write') {
+      if (quality !== 'original') {
+        return res.status(400).json({ error: 'Write URLs are only available for the original upload' });
+      }
+      if (!authorizeFileWrite(req, res, fileRecord)) return;
+    }
+
+    // Determine the actual file path based on quality
+    let filePath = fileName;
+    if (quality !== 'original' && fileRecord && fileRecord.qualityLevels[quality]) {
+      filePath = fileRecord.qualityLevels[quality].path;
+      console.log(`📹 Using quality-specific file: ${filePath}`);
+    }
+
+    // A pending upload may not have been written yet
+    const exists = action === 'write' || await storageService.fileExists(filePath);
+    if (!exists) {
+      console.log(`❌ File not found: ${filePath}`);
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    console.log(`✅ File found: ${filePath}, generating signed URL`);
+
+    const signedUrl = await storageService.generateSignedUrl(filePath, {
+      action,
+      expiresInMinutes: parseInt(expiresInMinutes),
+    });
+
+    console.log(`✅ Signed URL generated successfully for: ${filePath}`);
+
+    // Get additional metadata if available
+    let metadata = {};
+    if (fileRecord) {
+      metadata = {
+        duration: fileRecord.duration,
+        resolution: fileRecord.resolution,
+        is360Video: fileRecord.is360Video,
+        availableQualities: Object.keys(fileRecord.qualityLevels || {}),
+      };
+    }
+
+    res.json({ 
+      signedUrl,
+      fileName: filePath,
+      originalFileName: fileName,
+      quality,
+      expiresIn: `${expiresInMinutes} minutes`,
+      action,
+      metadata
+    });
+  } catch (error) {
+    console.error('❌ Error generating signed URL:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// HLS master playlist listing every transcoded quality level
+app.get('/files/:fileName/manifest.m3u8', async (req, res) => {
+  try {
+    const { fileName } = req.params;
+
+    if (!FileMetadata) {
+      return res.status(503).json({ error: 'Adaptive streaming requires the database' });
+    }
 
-// Health check with enhanced info
-app.get('/health', async (req, res) => {
-  const health = {
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    version: '2.0.0',
-    database: sequelize ? 'configured' : 'not configured',
-    environment: process.env.NODE_ENV || 'development',
-    authentication: 'using Cloud Run service account',
-    bucket: process.env.GOOGLE_CLOUD_BUCKET_NAME || 'not configured',
-    features: {
-      videoStreaming: true,
-      transcoding: true,
-      analytics: !!VideoAnalytics,
-      thumbnails: true,
-      qualityLevels: true,
+    const fileRecord = await findFileRecord(fileName);
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found in database' });
     }
-  };
 
-  // Test database connection
-  if (sequelize) {
-    try {
-      await sequelize.authenticate();
-      health.database = 'connected';
-    } catch (error) {
-      health.database = 'connection failed';
-      health.status = 'degraded';
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    const playlist = VideoProcessingService.buildHlsMasterPlaylist(
+      renditionsForProjection(fileRecord, req.query.projection),
+      accessTokenQuery(req)
+    );
+    if (!playlist) {
+      return res.status(404).json({ error: 'No HLS renditions available. Transcode the file first' });
     }
+
+    res.set({
+      'Content-Type': getContentType(HLS_PLAYLIST_NAME),
+      'Cache-Control': 'no-cache',
+    });
+    res.send(playlist);
+  } catch (error) {
+    console.error('❌ Error building HLS manifest:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  res.json(health);
+// DASH manifest listing the renditions whose segments are present in storage
+app.get('/files/:fileName/manifest.mpd', async (req, res) => {
+  try {
+    const { fileName } = req.params;
+
+    if (!FileMetadata) {
+      return res.status(503).json({ error: 'Adaptive streaming requires the database' });
+    }
+
+    const fileRecord = await findFileRecord(fileName);
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found in database' });
+    }
+
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    const candidates = Object.entries(renditionsForProjection(fileRecord, req.query.projection))
+      .filter(([, level]) => level && level.dash)
+      .map(([quality, level]) => ({ quality, level }));
+
+    const existing = await Promise.all(candidates.map(({ level }) =>
+      storageService.fileExists(level.dash.initSegment).catch(() => false)
+    ));
+    const renditions = candidates.filter((_, index) => existing[index]);
+
+    const manifest = VideoProcessingService.buildDashManifest(
+      renditions,
+      fileRecord.duration || renditions[0]?.level.duration,
+      accessTokenQuery(req)
+    );
+    if (!manifest) {
+      return res.status(404).json({ error: 'No DASH renditions available. Transcode the file first' });
+    }
+
+    res.set({
+      'Content-Type': getContentType(DASH_MANIFEST_NAME),
+      'Cache-Control': 'no-cache',
+    });
+    res.send(manifest);
+  } catch (error) {
+    console.error('❌ Error building DASH manifest:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Enhanced info endpoint
-app.get('/', (req, res) => {
-  res.json({
-    message: 'DuoVR Server v2.0 is running!',
-    timestamp: new Date().toISOString(),
-    endpoints: {
-      health: '/health',
-      files: {
-        list: '/files',
-        signedUrl: '/files/:fileName/signed-url',
-        metadata: '/files/:fileName/metadata',
-        stream: '/files/:fileName/stream',
-        upload: '/files/upload',
-        generateUploadUrl: '/files/generate-upload-url',
-        transcode: '/files/:fileName/transcode',
-        thumbnail: '/files/:fileName/thumbnail',
-      },
-      analytics: {
-        track: '/analytics/track',
-        stats: '/analytics/files/:fileId/stats',
-        dashboard: '/analytics/dashboard',
-      },
-      sessions: {
-        create: '/sessions/create',
-        status: '/sessions/:sessionId',
+// Rendition playlists and segments, resolved relative to the HLS/DASH manifests
+function serveRenditionFile(format, segmentPattern) {
+  return async (req, res) => {
+    try {
+      const { fileName, quality, segment } = req.params;
+
+      if (!segmentPattern.test(segment)) {
+        return res.status(400).json({ error: 'Invalid segment name' });
       }
-    },
-    database: sequelize ? 'available' : 'not configured',
-    bucket: process.env.GOOGLE_CLOUD_BUCKET_NAME || 'not configured'
+
+      const fileRecord = await findFileRecord(fileName);
+      const level = fileRecord?.qualityLevels?.[quality];
+      if (!level || !level[format]) {
+        return res.status(404).json({ error: 'Rendition not found' });
+      }
+
+      if (!authorizeFile(req, res, fileRecord)) return;
+
+      await sendStoredSegment(req, res, `${level[format].directory}/${segment}`);
+    } catch (error) {
+      console.error(`❌ Error serving ${format} segment:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+async function sendStoredSegment(req, res, segmentPath) {
+  const segment = path.basename(segmentPath);
+  const exists = await storageService.fileExists(segmentPath);
+  if (!exists) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+
+  res.set({
+    'Content-Type': getContentType(segment),
+    // VOD renditions never change once uploaded
+    'Cache-Control': mediaCacheControl(),
+  });
+
+  // Rendition playlists reference segments relatively, carry a query token along to them
+  const tokenQuery = accessTokenQuery(req);
+  if (segment.endsWith('.m3u8') && tokenQuery) {
+    const stream = await storageService.streamFile(segmentPath);
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    const playlist = Buffer.concat(chunks).toString('utf8')
+      .split('\n')
+      .map(line => (line && !line.startsWith('#') ? `${line}${tokenQuery}` : line))
+      .join('\n');
+    return res.send(playlist);
+  }
+
+  const stream = await storageService.streamFile(segmentPath);
+  stream.on('error', (error) => {
+    console.error(`❌ Error streaming segment ${segmentPath}:`, error);
+    res.destroy(error);
   });
+  stream.pipe(res);
+}
+
+app.get('/files/:fileName/hls/:quality/:segment', serveRenditionFile('hls', /^[\w-]+\.(m3u8|ts)$/));
+app.get('/files/:fileName/dash/:quality/:segment', serveRenditionFile('dash', /^[\w-]+\.(mpd|m4s)$/));
+
+// Queue tiled renditions for viewport-adaptive playback
+app.post('/files/:fileName/tiles', async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const { grid = TILE_DEFAULT_GRID } = req.body;
+
+    if (!FileMetadata || !TranscodingJob) {
+      return res.status(503).json({ error: 'Transcoding service not available' });
+    }
+
+    const fileRecord = await findFileRecord(fileName);
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found in database' });
+    }
+
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    if (!fileRecord.is360Video || fileRecord.projection !== 'equirectangular' || fileRecord.stereoMode !== 'mono') {
+      return res.status(400).json({ error: 'Tiled streaming supports mono equirectangular 360° video' });
+    }
+
+    const tileGrid = VideoProcessingService.parseTileGrid(grid);
+    if (!tileGrid) {
+      return res.status(400).json({
+        error: `grid must be COLUMNSxROWS with ${TILE_COLUMN_RANGE.join('-')} columns and ${TILE_ROW_RANGE.join('-')} rows`,
+      });
+    }
+
+    // Every quality of a video shares one grid, so clients can swap tiles one for one
+    const existingGrid = fileRecord.tiling?.grid;
+    if (existingGrid && (existingGrid.columns !== tileGrid.columns || existingGrid.rows !== tileGrid.rows)) {
+      return res.status(409).json({ error: `Tiles for this video already use a ${existingGrid.columns}x${existingGrid.rows} grid` });
+    }
+
+    // By default, tile every standard quality up to the source width
+    const sourceWidth = parseInt(fileRecord.resolution) || Infinity;
+    const qualities = req.body.qualities
+      ? parseQualityList(req.body.qualities, VideoProcessingService.tileQualitySettings)
+      : TILE_DEFAULT_QUALITIES.filter(quality => VideoProcessingService.tileQualitySettings[quality].width <= sourceWidth);
+    if (qualities.length === 0) {
+      return res.status(400).json({ error: 'No valid qualities to tile' });
+    }
+
+    const gridName = `${tileGrid.columns}x${tileGrid.rows}`;
+    const jobs = [];
+    for (const quality of qualities) {
+      if (fileRecord.tiling?.qualities?.[quality]) {
+        jobs.push({ quality, status: 'completed' });
+        continue;
+      }
+
+      const { job } = await transcodingQueue.add(fileRecord, quality, [], { tileGrid: gridName });
+      jobs.push({ quality, jobId: job.id, status: job.status });
+    }
+
+    res.json({
+      message: 'Tiled renditions queued',
+      grid: tileGrid,
+      jobs,
+    });
+
+  } catch (error) {
+    console.error('❌ Error queueing tiled renditions:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Session management
-app.post('/sessions/create', async (req, res) => {
+// Tiles with their positions on the sphere and a playlist per quality
+app.get('/files/:fileName/tiles/manifest.json', async (req, res) => {
   try {
-    const { userId, deviceType, platform } = req.body;
-    
-    const session = await SessionService.createSession({
-      userId,
-      deviceType: deviceType || 'unknown',
-      platform: platform || 'unknown',
+    if (!FileMetadata) {
+      return res.status(503).json({ error: 'Adaptive streaming requires the database' });
+    }
+
+    const fileRecord = await findFileRecord(req.params.fileName);
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found in database' });
+    }
+
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    const manifest = VideoProcessingService.buildTileManifest(fileRecord, accessTokenQuery(req));
+    if (!manifest) {
+      return res.status(404).json({ error: 'No tiled renditions available. Request tiles first' });
+    }
+
+    res.set('Cache-Control', 'no-cache');
+    res.json(manifest);
+  } catch (error) {
+    console.error('❌ Error building tile manifest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function serveTileFile(req, res, relativePath) {
+  try {
+    if (!/^[\w-]+\.(m3u8|ts)$/.test(req.params.segment)) {
+      return res.status(400).json({ error: 'Invalid segment name' });
+    }
+
+    const fileRecord = await findFileRecord(req.params.fileName);
+    if (!fileRecord?.tiling) {
+      return res.status(404).json({ error: 'Tiles not found' });
+    }
+
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    await sendStoredSegment(req, res, `${fileRecord.tiling.directory}/${relativePath}/${req.params.segment}`);
+  } catch (error) {
+    console.error('❌ Error serving tile segment:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get('/files/:fileName/tiles/audio/:segment', (req, res) => serveTileFile(req, res, 'audio'));
+
+app.get('/files/:fileName/tiles/:quality/:tile/:segment', async (req, res) => {
+  const { quality, tile } = req.params;
+  if (!(quality in VideoProcessingService.tileQualitySettings) || !TILE_NAME_PATTERN.test(tile)) {
+    return res.status(404).json({ error: 'Tile not found' });
+  }
+  await serveTileFile(req, res, `${quality}/${tile}`);
+});
+
+// Validate a requested projection conversion against the file's own projection
+function parseProjectionConversion(fileRecord, projection, fisheyeFov) {
+  if (projection === undefined || projection === null || projection === fileRecord.projection) {
+    return { targetProjection: null };
+  }
+
+  if (!PROJECTION_TARGETS.includes(projection)) {
+    return { error: `projection must be one of ${PROJECTION_TARGETS.join(', ')}` };
+  }
+
+  if (!fileRecord.is360Video || !(fileRecord.projection in V360_FORMATS)) {
+    return { error: 'Projection conversion needs a 360° video with a known projection' };
+  }
+
+  if (fileRecord.projection !== 'fisheye') {
+    return fisheyeFov === undefined
+      ? { targetProjection: projection }
+      : { error: 'fisheyeFov only applies to fisheye sources' };
+  }
+
+  const fov = fisheyeFov === undefined ? FISHEYE_DEFAULT_FOV : Number(fisheyeFov);
+  if (!(fov >= FISHEYE_FOV_RANGE[0] && fov <= FISHEYE_FOV_RANGE[1])) {
+    return { error: `fisheyeFov must be between ${FISHEYE_FOV_RANGE[0]} and ${FISHEYE_FOV_RANGE[1]} degrees` };
+  }
+
+  return { targetProjection: projection, fisheyeFov: fov };
+}
+
+// Renditions in one projection, an adaptive ladder can't switch projections mid-stream
+function renditionsForProjection(fileRecord, projection = fileRecord.projection) {
+  return Object.fromEntries(Object.entries(fileRecord.qualityLevels || {})
+    .filter(([, level]) => level && (level.projection || fileRecord.projection || null) === (projection || null)));
+}
+
+// Video transcoding endpoint
+app.post('/files/:fileName/transcode', async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const { quality = '1080p', formats = STREAMING_FORMATS, projection, fisheyeFov } = req.body;
+
+    if (!(quality in VideoProcessingService.qualitySettings)) {
+      return res.status(400).json({
+        error: `Unsupported quality: ${quality}`,
+        supportedQualities: Object.keys(VideoProcessingService.qualitySettings),
+      });
+    }
+
+    const outputFormats = Array.isArray(formats) ? formats : String(formats).split(',').map(f => f.trim());
+    const invalidFormats = outputFormats.filter(format => !STREAMING_FORMATS.includes(format));
+    if (invalidFormats.length > 0) {
+      return res.status(400).json({
+        error: `Unsupported streaming formats: ${invalidFormats.join(', ')}`,
+        supportedFormats: STREAMING_FORMATS,
+      });
+    }
+
+    if (!FileMetadata || !TranscodingJob) {
+      return res.status(503).json({ error: 'Transcoding service not available' });
+    }
+
+    // Find the file record
+    const fileRecord = await FileMetadata.findOne({
+      where: { filePath: fileName }
     });
 
-    if (session) {
-      res.json({
-        sessionId: session.sessionId,
-        message: 'Session created successfully'
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found in database' });
+    }
+
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    const conversion = parseProjectionConversion(fileRecord, projection, fisheyeFov);
+    if (conversion.error) {
+      return res.status(400).json({ error: conversion.error });
+    }
+
+    // Check if this quality already exists
+    const renditionKey = VideoProcessingService.renditionKey(quality, conversion.targetProjection);
+    if (fileRecord.qualityLevels && fileRecord.qualityLevels[renditionKey]) {
+      return res.json({
+        message: 'Quality level already exists',
+        status: 'completed',
+        outputPath: fileRecord.qualityLevels[renditionKey].path
       });
-    } else {
-      res.json({
-        sessionId: SessionService.generateSessionId(),
-        message: 'Session created (no database)'
+    }
+
+    const { job, created } = await transcodingQueue.add(fileRecord, quality, outputFormats, conversion);
+    if (!created) {
+      return res.json({
+        message: 'Transcoding job already in progress',
+        jobId: job.id,
+        status: job.status,
       });
     }
+
+    res.json({
+      message: 'Transcoding job created',
+      jobId: job.id,
+      status: 'queued',
+      estimatedDuration: fileRecord.duration ? Math.ceil(fileRecord.duration * 0.5) : null, // Rough estimate
+    });
+
   } catch (error) {
-    console.error('Error creating session:', error);
+    console.error('❌ Error creating transcoding job:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/sessions/:sessionId', async (req, res) => {
+// Get transcoding job status
+app.get('/transcode/:jobId/status', async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const session = await SessionService.getActiveSession(sessionId);
-    
-    if (session) {
-      res.json(session);
-    } else {
-      res.status(404).json({ error: 'Session not found' });
+    const { jobId } = req.params;
+
+    if (!TranscodingJob) {
+      return res.status(503).json({ error: 'Transcoding service not available' });
+    }
+
+    const job = await TranscodingJob.findByPk(jobId, {
+      include: [{ model: FileMetadata, attributes: ['id', 'userId'] }]
+    });
+    if (!job) {
+      return res.status(404).json({ error: 'Transcoding job not found' });
     }
+
+    if (!authorizeFile(req, res, job.FileMetadata)) return;
+
+    res.json({
+      id: job.id,
+      status: job.status,
+      targetQuality: job.targetQuality,
+      targetProjection: job.targetProjection,
+      progress: job.progress,
+      fps: job.fps,
+      etaSeconds: job.etaSeconds,
+      outputPath: job.outputPath,
+      errorMessage: job.errorMessage,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextAttemptAt: job.status === 'queued' ? job.nextAttemptAt : null,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+    });
+
   } catch (error) {
-    console.error('Error getting session:', error);
+    console.error('❌ Error getting transcoding status:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Enhanced file upload with processing
-app.post('/files/upload', async (req, res) => {
+// Live transcoding progress as Server-Sent Events
+app.get('/transcode/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+
   try {
-    if (!req.files || !req.files.video) {
-      return res.status(400).json({ error: 'No video file uploaded' });
+    if (!TranscodingJob) {
+      return res.status(503).json({ error: 'Transcoding service not available' });
     }
 
-    const videoFile = req.files.video;
-    const { userId, tags, quality } = req.body;
-
-    // Validate file type
-    if (!isValidVideoFile(videoFile)) {
-      return res.status(400).json({ 
-        error: 'Invalid file type. Please upload video files only' 
-      });
+    const job = await TranscodingJob.findByPk(jobId, {
+      include: [{ model: FileMetadata, attributes: ['id', 'userId'] }]
+    });
+    if (!job) {
+      return res.status(404).json({ error: 'Transcoding job not found' });
     }
 
-    // Generate unique filename
-    const destination = generateUniqueFileName(videoFile.name);
-    console.log(`🎯 Generated upload destination: ${destination}`);
-
-    // Extract video metadata
-    const metadata = await VideoProcessingService.extractMetadata(videoFile.tempFilePath);
-    const video360Detection = VideoProcessingService.detect360Video(metadata);
+    if (!authorizeFile(req, res, job.FileMetadata)) return;
 
-    // Upload to cloud storage
-    await storageService.uploadFile(videoFile, destination, {
-      originalFileName: videoFile.name,
-      uploadedBy: userId || 'anonymous',
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop proxies from buffering the stream
     });
 
-    // Save metadata to database
-    let fileMetadata = null;
-    if (FileMetadata) {
-      try {
-        fileMetadata = await FileMetadata.create({
-          fileName: path.basename(destination),
-          originalFileName: videoFile.name,
-          bucketName: process.env.GOOGLE_CLOUD_BUCKET_NAME,
-          filePath: destination,
-          fileSize: videoFile.size,
-          mimeType: videoFile.mimetype,
-          duration: metadata.duration,
-          resolution: metadata.resolution,
-          frameRate: metadata.frameRate,
-          bitrate: metadata.bitrate,
-          codec: metadata.codec,
-          is360Video: video360Detection.is360Video,
-          projection: video360Detection.projection,
-          userId: userId || null,
-          tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-          processingStatus: 'pending',
-        });
+    let lastPayload = null;
+    let closed = false;
 
-        console.log(`💾 Saved metadata to database: ${fileMetadata.id}`);
+    const send = (data) => {
+      const payload = JSON.stringify(data);
+      if (closed || payload === lastPayload) return;
+      lastPayload = payload;
 
-        // Start background processing
-        if (quality && quality !== 'original') {
-          processVideoInBackground(fileMetadata.id, destination, quality);
-        }
-      } catch (dbError) {
-        console.error('⚠️ Failed to save metadata to database:', dbError);
+      const event = TERMINAL_JOB_STATUSES.includes(data.status) ? data.status : 'progress';
+      res.write(`event: ${event}\ndata: ${payload}\n\n`);
+
+      if (event !== 'progress') {
+        cleanup();
+        res.end();
+      }
+    };
+
+    // The job may be running on another instance, so also follow the database row
+    const poll = setInterval(async () => {
+      try {
+        const current = await TranscodingJob.findByPk(jobId);
+        if (current) send(serializeJobProgress(current));
+      } catch (error) {
+        console.error(`⚠️ Failed to poll transcoding job ${jobId}:`, error.message);
       }
+    }, TRANSCODE_PROGRESS_INTERVAL_MS);
+
+    // Comment lines keep idle connections open through load balancers
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    const onUpdate = (update) => send({ ...serializeJobProgress(job), ...update });
+
+    function cleanup() {
+      closed = true;
+      clearInterval(poll);
+      clearInterval(keepAlive);
+      transcodeEvents.off(jobId, onUpdate);
     }
 
-    res.json({
-      message: 'Video uploaded successfully',
-      fileId: fileMetadata?.id || null,
-      fileName: destination,
-      metadata: {
-        duration: metadata.duration,
-        resolution: metadata.resolution,
-        is360Video: video360Detection.is360Video,
-        fileSize: videoFile.size,
-      },
-      processingStatus: 'pending'
-    });
+    transcodeEvents.on(jobId, onUpdate);
+    req.on('close', cleanup);
 
+    send(serializeJobProgress(job));
   } catch (error) {
-    console.error('❌ Error uploading file:', error);
-    res.status(500).json({ 
-      error: 'Failed to upload file: ' + error.message 
-    });
+    console.error('❌ Error streaming transcoding events:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
+      res.end();
+    }
   }
 });
 
-// Generate signed upload URL (enhanced)
-app.post('/files/generate-upload-url', async (req, res) => {
+// Cancel a queued or running transcoding job
+app.post('/transcode/:jobId/cancel', async (req, res) => {
   try {
-    const { fileName, fileType, fileSize, quality } = req.body;
-
-    if (!fileName || !fileType) {
-      return res.status(400).json({ error: 'fileName and fileType are required' });
-    }
-
-    // Validate file type
-    const validTypes = [
-      'video/mp4', 'video/quicktime', 'video/x-msvideo', 
-      'video/avi', 'video/mov', 'video/webm'
-    ];
-    if (!validTypes.includes(fileType.toLowerCase())) {
-      return res.status(400).json({ 
-        error: 'Invalid file type. Please upload video files only' 
-      });
-    }
+    const { jobId } = req.params;
 
-    // Check file size (max 8GB for direct uploads)
-    const maxSize = 8 * 1024 * 1024 * 1024; // 8GB
-    if (fileSize && fileSize > maxSize) {
-      return res.status(400).json({ 
-        error: 'File too large. Maximum size is 8GB for direct uploads' 
-      });
+    if (!TranscodingJob) {
+      return res.status(503).json({ error: 'Transcoding service not available' });
     }
 
-    // Generate unique file name
-    const destination = generateUniqueFileName(fileName);
-    console.log(`🎯 Generated upload destination: ${destination}`);
-
-    // Generate signed upload URL
-    const file = storageService.bucket.file(destination);
-    const [signedUrl] = await file.getSignedUrl({
-      version: 'v4',
-      action: 'write',
-      expires: Date.now() + 60 * 60 * 1000, // 1 hour
-      contentType: fileType,
+    const existingJob = await TranscodingJob.findByPk(jobId, {
+      include: [{ model: FileMetadata, attributes: ['id', 'userId'] }]
     });
+    if (existingJob && !authorizeFile(req, res, existingJob.FileMetadata)) return;
 
-    console.log(`✅ Generated signed upload URL for: ${destination}`);
+    const job = await transcodingQueue.cancel(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Transcoding job not found' });
+    }
 
-    // Pre-save metadata to database if available
-    let fileMetadata = null;
-    if (FileMetadata) {
-      try {
-        fileMetadata = await FileMetadata.create({
-          fileName: path.basename(destination),
-          originalFileName: fileName,
-          bucketName: process.env.GOOGLE_CLOUD_BUCKET_NAME,
-          filePath: destination,
-          fileSize: fileSize || null,
-          mimeType: fileType,
-          userId: req.body.userId || null,
-          processingStatus: 'pending',
-        });
-        console.log(`💾 Pre-saved metadata to database: ${fileMetadata.id}`);
-      } catch (dbError) {
-        console.error('⚠️ Failed to save metadata to database:', dbError);
-      }
+    if (job.status !== 'cancelled') {
+      return res.status(409).json({
+        error: `Transcoding job already ${job.status}`,
+        status: job.status,
+      });
     }
 
     res.json({
-      uploadUrl: signedUrl,
-      destination: destination,
-      fileId: fileMetadata?.id || null,
-      expiresIn: '1 hour',
-      maxSize: '8GB',
-      suggestedQuality: quality || 'original'
+      message: 'Transcoding job cancelled',
+      jobId: job.id,
+      status: job.status,
     });
 
   } catch (error) {
-    console.error('❌ Error generating upload URL:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate upload URL: ' + error.message 
-    });
+    console.error('❌ Error cancelling transcoding job:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Get file metadata endpoint
-app.get('/files/:fileName/metadata', async (req, res) => {
+// View and size of a still, 360° videos can be looked at from any direction
+function parseThumbnailView(body, preset = {}) {
+  const number = (value, fallback) => (value === undefined ? fallback : Number(value));
+  const view = {
+    yaw: number(body.yaw, 0),
+    pitch: number(body.pitch, 0),
+    fov: number(body.fov, THUMBNAIL_DEFAULT_FOV),
+    width: number(body.width, preset.width || THUMBNAIL_DEFAULT_WIDTH),
+    height: number(body.height, preset.height || THUMBNAIL_DEFAULT_HEIGHT),
+  };
+
+  if (!(view.yaw >= -180 && view.yaw <= 180)) return { error: 'yaw must be between -180 and 180 degrees' };
+  if (!(view.pitch >= -90 && view.pitch <= 90)) return { error: 'pitch must be between -90 and 90 degrees' };
+  if (!(view.fov >= THUMBNAIL_FOV_RANGE[0] && view.fov <= THUMBNAIL_FOV_RANGE[1])) {
+    return { error: `fov must be between ${THUMBNAIL_FOV_RANGE[0]} and ${THUMBNAIL_FOV_RANGE[1]} degrees` };
+  }
+  if (![view.width, view.height].every(size => Number.isInteger(size) && size >= 16 && size <= THUMBNAIL_MAX_DIMENSION)) {
+    return { error: `width and height must be whole pixels between 16 and ${THUMBNAIL_MAX_DIMENSION}` };
+  }
+
+  return { view };
+}
+
+// Generate thumbnail endpoint
+app.post('/files/:fileName/thumbnail', async (req, res) => {
   try {
     const { fileName } = req.params;
-    
-    console.log(`🔍 Getting metadata for: ${fileName}`);
+    const { timeOffset = '00:00:05', poster } = req.body;
 
-    // Check if file exists in cloud storage
+    if (poster !== undefined && !POSTER_NAME_PATTERN.test(poster)) {
+      return res.status(400).json({ error: 'poster must be 1-32 lowercase letters, digits or dashes' });
+    }
+
+    const { view, error } = parseThumbnailView(req.body, POSTER_PRESETS[poster]);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    console.log(`🖼️ Generating ${poster ? `${poster} poster` : 'thumbnail'} for: ${fileName}`);
+
+    const ownerRecord = await findOwningFileRecord(fileName);
+    if (!authorizeFile(req, res, ownerRecord)) return;
+    const fileRecord = ownerRecord?.filePath === fileName ? ownerRecord : null;
+
+    if (poster && !fileRecord) {
+      return res.status(404).json({ error: 'File not found in database' });
+    }
+
+    const posters = fileRecord?.posters || {};
+    if (poster && !posters[poster] && Object.keys(posters).length >= MAX_POSTERS_PER_FILE) {
+      return res.status(400).json({ error: `A video can have at most ${MAX_POSTERS_PER_FILE} posters` });
+    }
+
+    // Check if file exists
     const exists = await storageService.fileExists(fileName);
     if (!exists) {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // Get cloud storage metadata
-    const cloudMetadata = await storageService.getFileMetadata(fileName);
-    
-    // Get database metadata if available
-    let dbMetadata = null;
-    if (FileMetadata) {
-      try {
-        dbMetadata = await FileMetadata.findOne({
-          where: { filePath: fileName }
-        });
-      } catch (dbError) {
-        console.error('⚠️ Failed to fetch from database:', dbError);
-      }
+    // Source ffmpeg can read for thumbnail generation
+    const signedUrl = await storageService.getReadableSource(fileName, {
+      expiresInMinutes: 10,
+    });
+
+    // Generate thumbnail path
+    const thumbnailPath = fileName.replace(/\.[^/.]+$/, poster ? `_poster_${poster}.jpg` : '_thumbnail.jpg');
+    const tempThumbnailPath = `/tmp/${crypto.randomUUID()}-${path.basename(thumbnailPath)}`;
+
+    // Generate thumbnail
+    await VideoProcessingService.generateThumbnail(signedUrl, tempThumbnailPath, timeOffset, {
+      ...view,
+      is360Video: fileRecord?.is360Video,
+      projection: fileRecord?.projection,
+      stereoMode: fileRecord?.stereoMode,
+    });
+
+    // Upload thumbnail to cloud storage
+    const thumbnailData = await fs.readFile(tempThumbnailPath);
+    await storageService.uploadFile({
+      data: thumbnailData,
+      name: path.basename(thumbnailPath),
+      mimetype: 'image/jpeg'
+    }, thumbnailPath);
+
+    // Update database record
+    if (poster) {
+      await fileRecord.reload();
+      await fileRecord.update({
+        posters: {
+          ...(fileRecord.posters || {}),
+          [poster]: { path: thumbnailPath, ...view, timeOffset, createdAt: new Date().toISOString() },
+        },
+      });
+    } else if (FileMetadata) {
+      await FileMetadata.update(
+        { thumbnailPath },
+        { where: { filePath: fileName } }
+      );
     }
 
-    const response = {
-      fileName: fileName,
-      size: parseInt(cloudMetadata.size),
-      contentType: cloudMetadata.contentType,
-      updated: cloudMetadata.updated,
-      etag: cloudMetadata.etag,
-    };
+    // Clean up temp file
+    await fs.unlink(tempThumbnailPath).catch(() => {});
 
-    if (dbMetadata) {
-      response.id = dbMetadata.id;
-      response.originalFileName = dbMetadata.originalFileName;
-      response.duration = dbMetadata.duration;
-      response.resolution = dbMetadata.resolution;
-      response.frameRate = dbMetadata.frameRate;
-      response.bitrate = dbMetadata.bitrate;
-      response.codec = dbMetadata.codec;
-      response.is360Video = dbMetadata.is360Video;
-      response.projection = dbMetadata.projection;
-      response.thumbnailPath = dbMetadata.thumbnailPath;
-      response.qualityLevels = dbMetadata.qualityLevels;
-      response.viewCount = dbMetadata.viewCount;
-      response.lastViewed = dbMetadata.lastViewed;
-      response.tags = dbMetadata.tags;
-      response.processingStatus = dbMetadata.processingStatus;
+    // Generate signed URL for the thumbnail
+    const thumbnailSignedUrl = await storageService.generateSignedUrl(thumbnailPath, {
+      action: 'read',
+      expiresInMinutes: 60,
+    });
+
+    res.json({
+      message: poster ? 'Poster generated successfully' : 'Thumbnail generated successfully',
+      ...(poster && { poster }),
+      thumbnailPath,
+      thumbnailUrl: thumbnailSignedUrl,
+      timeOffset,
+      view,
+    });
+
+  } catch (error) {
+    console.error('❌ Error generating thumbnail:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Named poster frames with short-lived URLs
+app.get('/files/:fileName/posters', async (req, res) => {
+  try {
+    if (!FileMetadata) {
+      return res.status(503).json({ error: 'Database not configured' });
+    }
+
+    const fileRecord = await findFileRecord(req.params.fileName);
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found in database' });
     }
 
-    res.json(response);
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    const entries = await Promise.all(Object.entries(fileRecord.posters || {}).map(async ([name, poster]) => [name, {
+      ...poster,
+      url: await storageService.generateSignedUrl(poster.path, { action: 'read', expiresInMinutes: 60 }),
+    }]));
+
+    res.json({
+      thumbnailPath: fileRecord.thumbnailPath,
+      posters: Object.fromEntries(entries),
+      presets: POSTER_PRESETS,
+    });
   } catch (error) {
-    console.error('❌ Error getting file metadata:', error);
+    console.error('❌ Error listing posters:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Video streaming endpoint with range support
-app.get('/files/:fileName/stream', async (req, res) => {
+// Analytics endpoints
+app.post('/analytics/track', async (req, res) => {
   try {
-    const { fileName } = req.params;
-    const { quality = 'original' } = req.query;
-    
-    console.log(`🎬 Streaming request for: ${fileName}, quality: ${quality}`);
+    const { fileId, sessionId, eventType, videoTime, quality, metadata } = req.body;
 
-    // Determine the actual file path based on quality
-    let filePath = fileName;
-    if (quality !== 'original' && FileMetadata) {
-      const fileRecord = await FileMetadata.findOne({
-        where: { filePath: fileName }
-      });
-      
-      if (fileRecord && fileRecord.qualityLevels[quality]) {
-        filePath = fileRecord.qualityLevels[quality].path;
-      }
+    if (!fileId || !sessionId || !eventType) {
+      return res.status(400).json({ error: 'fileId, sessionId, and eventType are required' });
     }
 
-    // Check if file exists
-    const exists = await storageService.fileExists(filePath);
-    if (!exists) {
-      return res.status(404).json({ error: 'File not found' });
+    const payloadError = AnalyticsService.validateEventPayload(eventType, metadata);
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
     }
 
-    // Get file metadata for range requests
-    const metadata = await storageService.getFileMetadata(filePath);
-    const fileSize = parseInt(metadata.size);
+    if (FileMetadata && isUuid(fileId)) {
+      const fileRecord = await FileMetadata.findByPk(fileId, { attributes: ['id', 'userId'] });
+      if (!authorizeFile(req, res, fileRecord)) return;
+    }
 
-    // Handle range requests for video streaming
-    const range = req.headers.range;
-    if (range) {
-      const { start, end } = parseRangeHeader(range, fileSize);
-      const chunkSize = (end - start) + 1;
+    if (!(await authorizeSession(req, res, sessionId))) return;
 
-      res.writeHead(206, {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunkSize,
-        'Content-Type': metadata.contentType || 'video/mp4',
-        'Cache-Control': 'public, max-age=31536000',
-      });
+    await AnalyticsService.trackEvent(fileId, sessionId, eventType, {
+      videoTime,
+      quality,
+      metadata,
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+      userId: req.auth?.userId ?? req.userSession?.userId,
+      deviceType: req.userSession?.deviceType,
+      platform: req.userSession?.platform,
+    });
 
-      // Stream the requested range
-      const stream = await storageService.streamFile(filePath, { start, end });
-      stream.pipe(res);
-    } else {
-      // Stream entire file
-      res.writeHead(200, {
-        'Content-Length': fileSize,
-        'Content-Type': metadata.contentType || 'video/mp4',
-        'Cache-Control': 'public, max-age=31536000',
-        'Accept-Ranges': 'bytes',
-      });
+    res.json({ message: 'Event tracked successfully' });
+
+  } catch (error) {
+    console.error('❌ Error tracking analytics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/analytics/files/:fileId/stats', async (req, res) => {
+  try {
+    const { fileId } = req.params;
 
-      const stream = await storageService.streamFile(filePath);
-      stream.pipe(res);
+    if (FileMetadata && isUuid(fileId)) {
+      const fileRecord = await FileMetadata.findByPk(fileId, { attributes: ['id', 'userId'] });
+      if (!authorizeFile(req, res, fileRecord)) return;
     }
 
-    // Track analytics
-    const sessionId = req.headers['x-session-id'];
-    if (sessionId && FileMetadata) {
-      const fileRecord = await FileMetadata.findOne({
-        where: { filePath: fileName }
-      });
-      
-      if (fileRecord) {
-        AnalyticsService.trackEvent(fileRecord.id, sessionId, 'view_start', {
-          quality,
-          userAgent: req.headers['user-agent'],
-          ipAddress: req.ip,
-        });
-        
-        // Update view count
-        await fileRecord.increment('viewCount');
-        await fileRecord.update({ lastViewed: new Date() });
-      }
+    const stats = await AnalyticsService.getVideoStats(fileId);
+
+    if (!stats) {
+      return res.status(404).json({ error: 'File not found or analytics not available' });
     }
 
+    res.json(stats);
+
   } catch (error) {
-    console.error('❌ Error streaming file:', error);
+    console.error('❌ Error getting analytics:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Enhanced signed URL endpoint
-app.get('/files/:fileName/signed-url', async (req, res) => {
+// Batched events from the headset's offline queue. Events marked accepted or
+// duplicate can be dropped from the queue, rejected ones will never be accepted.
+app.post('/analytics/batch', async (req, res) => {
   try {
-    const { fileName } = req.params;
-    const { expiresInMinutes = 60, action = 'read', quality = 'original' } = req.query;
+    if (!VideoAnalytics || !FileMetadata) {
+      return res.status(503).json({ error: 'Analytics not available' });
+    }
 
-    console.log(`🔍 Checking if file exists: ${fileName} in bucket: ${process.env.GOOGLE_CLOUD_BUCKET_NAME}`);
+    const { events } = req.body;
 
-    // Determine the actual file path based on quality
-    let filePath = fileName;
-    if (quality !== 'original' && FileMetadata) {
-      const fileRecord = await FileMetadata.findOne({
-        where: { filePath: fileName }
-      });
-      
-      if (fileRecord && fileRecord.qualityLevels[quality]) {
-        filePath = fileRecord.qualityLevels[quality].path;
-        console.log(`📹 Using quality-specific file: ${filePath}`);
-      }
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ error: 'events must be a non-empty array' });
     }
 
-    const exists = await storageService.fileExists(filePath);
-    if (!exists) {
-      console.log(`❌ File not found: ${filePath}`);
-      return res.status(404).json({ error: 'File not found' });
+    if (events.length > ANALYTICS_MAX_BATCH_SIZE) {
+      return res.status(413).json({ error: `At most ${ANALYTICS_MAX_BATCH_SIZE} events per batch` });
     }
 
-    console.log(`✅ File found: ${filePath}, generating signed URL`);
+    const results = await AnalyticsService.trackEventBatch(events, {
+      auth: req.auth,
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+      userId: req.auth?.userId,
+    });
 
-    const signedUrl = await storageService.generateSignedUrl(filePath, {
-      action,
-      expiresInMinutes: parseInt(expiresInMinutes),
+    const count = status => results.filter(result => result.status === status).length;
+    res.json({
+      accepted: count('accepted'),
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+      results,
     });
 
-    console.log(`✅ Signed URL generated successfully for: ${filePath}`);
+  } catch (error) {
+    console.error('❌ Error ingesting analytics batch:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Get additional metadata if available
-    let metadata = {};
-    if (FileMetadata) {
-      const fileRecord = await FileMetadata.findOne({
-        where: { filePath: fileName }
-      });
-      
-      if (fileRecord) {
-        metadata = {
-          duration: fileRecord.duration,
-          resolution: fileRecord.resolution,
-          is360Video: fileRecord.is360Video,
-          availableQualities: Object.keys(fileRecord.qualityLevels || {}),
-        };
-      }
+app.get('/analytics/files/:fileId/retention', async (req, res) => {
+  try {
+    if (!VideoAnalytics || !FileMetadata) {
+      return res.status(503).json({ error: 'Analytics not available' });
     }
 
-    res.json({ 
-      signedUrl,
-      fileName: filePath,
-      originalFileName: fileName,
-      quality,
-      expiresIn: `${expiresInMinutes} minutes`,
-      action,
-      metadata
+    const { fileId } = req.params;
+    if (!isUuid(fileId)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    const fileRecord = await FileMetadata.findByPk(fileId, { attributes: ['id', 'userId'] });
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ([from, to].some(date => date && isNaN(date))) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const step = req.query.step !== undefined ? parseInt(req.query.step) : 1;
+    if (!(step >= 1)) {
+      return res.status(400).json({ error: 'step must be a positive number of seconds' });
+    }
+
+    const retention = await AnalyticsService.getRetention(fileId, {
+      from,
+      to,
+      platform: req.query.platform,
+      deviceType: req.query.deviceType,
+      step,
     });
+
+    if (!retention) {
+      return res.status(503).json({ error: 'Device filters require session data' });
+    }
+
+    res.json(retention);
+
   } catch (error) {
-    console.error('❌ Error generating signed URL:', error);
+    console.error('❌ Error computing retention:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Video transcoding endpoint
-app.post('/files/:fileName/transcode', async (req, res) => {
-  try {
-    const { fileName } = req.params;
-    const { quality = '1080p' } = req.body;
+// Shared query parsing for QoE reports
+function parseQoeQuery(req, res) {
+  const { groupBy } = req.query;
+  if (groupBy && !['platform', 'deviceType'].includes(groupBy)) {
+    res.status(400).json({ error: 'groupBy must be platform or deviceType' });
+    return null;
+  }
 
-    if (!FileMetadata || !TranscodingJob) {
-      return res.status(503).json({ error: 'Transcoding service not available' });
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  const to = req.query.to ? new Date(req.query.to) : undefined;
+  if ([from, to].some(date => date && isNaN(date))) {
+    res.status(400).json({ error: 'from and to must be ISO dates' });
+    return null;
+  }
+
+  return { from, to, groupBy };
+}
+
+app.get('/analytics/files/:fileId/qoe', async (req, res) => {
+  try {
+    if (!VideoAnalytics || !FileMetadata) {
+      return res.status(503).json({ error: 'Analytics not available' });
     }
 
-    // Find the file record
-    const fileRecord = await FileMetadata.findOne({
-      where: { filePath: fileName }
-    });
+    const { fileId } = req.params;
+    if (!isUuid(fileId)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
 
+    const fileRecord = await FileMetadata.findByPk(fileId, { attributes: ['id', 'userId'] });
     if (!fileRecord) {
-      return res.status(404).json({ error: 'File not found in database' });
+      return res.status(404).json({ error: 'File not found' });
     }
+    if (!authorizeFile(req, res, fileRecord)) return;
 
-    // Check if this quality already exists
-    if (fileRecord.qualityLevels && fileRecord.qualityLevels[quality]) {
-      return res.json({
-        message: 'Quality level already exists',
-        status: 'completed',
-        outputPath: fileRecord.qualityLevels[quality].path
-      });
+    const query = parseQoeQuery(req, res);
+    if (!query) return;
+
+    res.json(await AnalyticsService.getQoeReport({ fileId, ...query }));
+
+  } catch (error) {
+    console.error('❌ Error building QoE report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/analytics/qoe', async (req, res) => {
+  try {
+    if (!VideoAnalytics) {
+      return res.status(503).json({ error: 'Analytics not available' });
     }
 
-    // Create transcoding job
-    const job = await TranscodingJob.create({
-      fileId: fileRecord.id,
-      targetQuality: quality,
-      status: 'queued',
-    });
+    // Spans every user's videos, like the dashboard
+    if (AuthService.isEnabled && req.auth?.role !== 'admin') {
+      return res.status(403).json({ error: 'The QoE report requires an admin credential' });
+    }
 
-    // Start transcoding in background
-    processTranscodingJob(job.id);
+    const query = parseQoeQuery(req, res);
+    if (!query) return;
 
-    res.json({
-      message: 'Transcoding job created',
-      jobId: job.id,
-      status: 'queued',
-      estimatedDuration: fileRecord.duration ? Math.ceil(fileRecord.duration * 0.5) : null, // Rough estimate
-    });
+    res.json(await AnalyticsService.getQoeReport(query));
 
   } catch (error) {
-    console.error('❌ Error creating transcoding job:', error);
+    console.error('❌ Error building QoE report:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get transcoding job status
-app.get('/transcode/:jobId/status', async (req, res) => {
+// Batched head-orientation samples: samples are [videoTime, yaw, pitch, fov?] tuples
+app.post('/analytics/orientation', async (req, res) => {
   try {
-    const { jobId } = req.params;
+    if (!OrientationSample) {
+      return res.status(503).json({ error: 'Analytics not available' });
+    }
 
-    if (!TranscodingJob) {
-      return res.status(503).json({ error: 'Transcoding service not available' });
+    const { fileId, sessionId, fov, samples } = req.body;
+
+    if (!isUuid(fileId) || !sessionId || !Array.isArray(samples)) {
+      return res.status(400).json({ error: 'fileId, sessionId, and a samples array are required' });
     }
 
-    const job = await TranscodingJob.findByPk(jobId);
-    if (!job) {
-      return res.status(404).json({ error: 'Transcoding job not found' });
+    if (samples.length > HEATMAP_MAX_BATCH_SIZE) {
+      return res.status(413).json({ error: `At most ${HEATMAP_MAX_BATCH_SIZE} samples per batch` });
     }
 
-    res.json({
-      id: job.id,
-      status: job.status,
-      targetQuality: job.targetQuality,
-      progress: job.progress,
-      outputPath: job.outputPath,
-      errorMessage: job.errorMessage,
-      startedAt: job.startedAt,
-      completedAt: job.completedAt,
+    const fileRecord = await FileMetadata.findByPk(fileId, { attributes: ['id', 'userId'] });
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    if (!(await authorizeSession(req, res, sessionId, { allowEnded: true }))) return;
+
+    const result = await HeatmapService.recordSamples(fileId, String(sessionId), samples, {
+      fov: Number(fov),
+      userId: req.auth?.userId,
     });
 
+    res.json(result);
+
   } catch (error) {
-    console.error('❌ Error getting transcoding status:', error);
+    console.error('❌ Error recording orientation samples:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Generate thumbnail endpoint
-app.post('/files/:fileName/thumbnail', async (req, res) => {
+app.get('/analytics/files/:fileId/heatmap', async (req, res) => {
   try {
-    const { fileName } = req.params;
-    const { timeOffset = '00:00:05' } = req.body;
+    if (!OrientationSample) {
+      return res.status(503).json({ error: 'Analytics not available' });
+    }
 
-    console.log(`🖼️ Generating thumbnail for: ${fileName}`);
+    const { fileId } = req.params;
+    if (!isUuid(fileId)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
 
-    // Check if file exists
-    const exists = await storageService.fileExists(fileName);
-    if (!exists) {
+    const fileRecord = await FileMetadata.findByPk(fileId, { attributes: ['id', 'userId', 'duration'] });
+    if (!fileRecord) {
       return res.status(404).json({ error: 'File not found' });
     }
+    if (!authorizeFile(req, res, fileRecord)) return;
 
-    // Generate signed URL for thumbnail generation
-    const signedUrl = await storageService.generateSignedUrl(fileName, {
-      action: 'read',
-      expiresInMinutes: 10,
-    });
-
-    // Generate thumbnail path
-    const thumbnailPath = fileName.replace(/\.[^/.]+$/, '_thumbnail.jpg');
-    const tempThumbnailPath = `/tmp/${path.basename(thumbnailPath)}`;
+    const from = req.query.from !== undefined ? parseFloat(req.query.from) : undefined;
+    const to = req.query.to !== undefined ? parseFloat(req.query.to) : undefined;
+    const bucketSeconds = req.query.bucket !== undefined ? parseFloat(req.query.bucket) : 5;
+    const cellDegrees = req.query.resolution !== undefined ? parseFloat(req.query.resolution) : 10;
+    const asPng = req.query.format === 'png';
 
-    // Generate thumbnail
-    await VideoProcessingService.generateThumbnail(signedUrl, tempThumbnailPath, timeOffset);
+    if ([from, to].some(value => value !== undefined && !(value >= 0))) {
+      return res.status(400).json({ error: 'from and to must be non-negative seconds' });
+    }
 
-    // Upload thumbnail to cloud storage
-    const thumbnailData = await fs.readFile(tempThumbnailPath);
-    await storageService.uploadFile({
-      data: thumbnailData,
-      name: path.basename(thumbnailPath),
-      mimetype: 'image/jpeg'
-    }, thumbnailPath);
+    if (!(bucketSeconds >= HEATMAP_MIN_BUCKET_SECONDS)) {
+      return res.status(400).json({ error: `bucket must be at least ${HEATMAP_MIN_BUCKET_SECONDS} second(s)` });
+    }
 
-    // Update database record
-    if (FileMetadata) {
-      await FileMetadata.update(
-        { thumbnailPath },
-        { where: { filePath: fileName } }
-      );
+    // Every bucket is a full grid, so the range divided by the bucket size bounds the response
+    if (!asPng) {
+      const end = to ?? Math.max(fileRecord.duration || 0, await OrientationSample.max('videoTime', { where: { fileId } }) || 0);
+      const bucketCount = Math.ceil(Math.max(0, end - (from || 0)) / bucketSeconds);
+      if (bucketCount > HEATMAP_MAX_BUCKETS) {
+        return res.status(400).json({
+          error: `At most ${HEATMAP_MAX_BUCKETS} buckets per request, use a larger bucket or a narrower from-to range`,
+        });
+      }
     }
 
-    // Clean up temp file
-    await fs.unlink(tempThumbnailPath).catch(() => {});
+    if (!HEATMAP_RESOLUTIONS.includes(cellDegrees)) {
+      return res.status(400).json({ error: `resolution must be one of ${HEATMAP_RESOLUTIONS.join(', ')} degrees` });
+    }
 
-    // Generate signed URL for the thumbnail
-    const thumbnailSignedUrl = await storageService.generateSignedUrl(thumbnailPath, {
-      action: 'read',
-      expiresInMinutes: 60,
+    // The PNG overlay is a single image, so it always covers the whole range
+    const heatmap = await HeatmapService.buildHeatmap(fileId, {
+      from,
+      to,
+      cellDegrees,
+      bucketSeconds: asPng ? null : bucketSeconds,
     });
 
-    res.json({
-      message: 'Thumbnail generated successfully',
-      thumbnailPath,
-      thumbnailUrl: thumbnailSignedUrl,
-      timeOffset
+    if (!asPng) {
+      return res.json(heatmap);
+    }
+
+    const imageWidth = Math.min(4096, Math.max(64, parseInt(req.query.width) || 1024));
+    const grid = heatmap.buckets.length > 0
+      ? heatmap.buckets[0].grid
+      : Array.from({ length: heatmap.height }, () => new Array(heatmap.width).fill(0));
+
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': 'private, max-age=60',
+      'X-Heatmap-Samples': heatmap.totalSamples,
     });
+    res.send(HeatmapService.renderPng(grid, imageWidth));
 
   } catch (error) {
-    console.error('❌ Error generating thumbnail:', error);
+    console.error('❌ Error building heatmap:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Analytics endpoints
-app.post('/analytics/track', async (req, res) => {
+// Time-series reporting from the hourly rollups
+app.get('/analytics/timeseries', async (req, res) => {
   try {
-    const { fileId, sessionId, eventType, videoTime, quality, metadata } = req.body;
+    if (!AnalyticsHourlyRollup || !FileMetadata) {
+      return res.status(503).json({ error: 'Analytics not available' });
+    }
 
-    if (!fileId || !sessionId || !eventType) {
-      return res.status(400).json({ error: 'fileId, sessionId, and eventType are required' });
+    const { granularity = 'day', breakdown, fileId } = req.query;
+    if (!TIMESERIES_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: `granularity must be one of ${TIMESERIES_GRANULARITIES.join(', ')}` });
     }
 
-    await AnalyticsService.trackEvent(fileId, sessionId, eventType, {
-      videoTime,
-      quality,
-      metadata,
-      userAgent: req.headers['user-agent'],
-      ipAddress: req.ip,
-    });
+    if (breakdown && !TIMESERIES_BREAKDOWNS.includes(breakdown)) {
+      return res.status(400).json({ error: `breakdown must be one of ${TIMESERIES_BREAKDOWNS.join(', ')}` });
+    }
 
-    res.json({ message: 'Event tracked successfully' });
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be ISO dates with from before to' });
+    }
+
+    if (AnalyticsRollupService.bucketStarts(from, to, granularity).length > TIMESERIES_MAX_POINTS) {
+      return res.status(400).json({ error: `Range too large, at most ${TIMESERIES_MAX_POINTS} ${granularity} buckets` });
+    }
+
+    // Without admin rights reports only cover the caller's own videos
+    let fileIds;
+    if (fileId) {
+      const fileRecord = isUuid(fileId) ? await FileMetadata.findByPk(fileId, { attributes: ['id', 'userId'] }) : null;
+      if (!fileRecord) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      if (!authorizeFile(req, res, fileRecord)) return;
+      fileIds = [fileRecord.id];
+    } else if (Object.keys(ownedFilesWhere(req)).length > 0) {
+      const files = await FileMetadata.findAll({ where: ownedFilesWhere(req), attributes: ['id'], raw: true });
+      fileIds = files.map(file => file.id);
+    }
+
+    res.json(await AnalyticsRollupService.getTimeSeries({ from, to, granularity, breakdown, fileIds }));
 
   } catch (error) {
-    console.error('❌ Error tracking analytics:', error);
+    console.error('❌ Error building time series:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/analytics/files/:fileId/stats', async (req, res) => {
+app.post('/analytics/rollups/rebuild', async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const stats = await AnalyticsService.getVideoStats(fileId);
+    if (!AnalyticsHourlyRollup) {
+      return res.status(503).json({ error: 'Analytics not available' });
+    }
 
-    if (!stats) {
-      return res.status(404).json({ error: 'File not found or analytics not available' });
+    if (AuthService.isEnabled && req.auth?.role !== 'admin') {
+      return res.status(403).json({ error: 'Rebuilding rollups requires an admin credential' });
     }
 
-    res.json(stats);
+    const from = new Date(req.body.from);
+    const to = req.body.to ? new Date(req.body.to) : new Date();
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'from (and optionally to) must be ISO dates with from before to' });
+    }
+
+    const hours = await AnalyticsRollupService.rollupRange(from, to);
+    console.log(`📈 Rebuilt ${hours} hours of analytics rollups`);
+
+    res.json({ message: 'Rollups rebuilt', hours });
 
   } catch (error) {
-    console.error('❌ Error getting analytics:', error);
+    console.error('❌ Error rebuilding rollups:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Streaming analytics export for the data team
+app.get('/analytics/export/:dataset', async (req, res) => {
+  try {
+    const { dataset } = req.params;
+    const { format = 'csv' } = req.query;
+
+    if (!sequelize) {
+      return res.status(503).json({ error: 'Analytics not available' });
+    }
+
+    // Raw events and sessions span every user
+    if (AuthService.isEnabled && req.auth?.role !== 'admin') {
+      return res.status(403).json({ error: 'Exports require an admin credential' });
+    }
+
+    if (!(dataset in AnalyticsExportService.datasets)) {
+      return res.status(404).json({ error: `Unknown dataset, use one of ${Object.keys(AnalyticsExportService.datasets).join(', ')}` });
+    }
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - EXPORT_DEFAULT_RANGE_MS);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be ISO dates with from before to' });
+    }
+
+    const fileName = `duovr-${dataset}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.${format}`;
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store',
+    });
+
+    const count = await AnalyticsExportService.writeExport(res, dataset, {
+      format,
+      from,
+      to,
+      anonymizeIp: req.query.anonymizeIp === 'true',
+    });
+    res.end();
+
+    console.log(`📤 Exported ${count} ${dataset} rows as ${format}`);
+
+  } catch (error) {
+    console.error('❌ Error exporting analytics:', error);
+    if (res.headersSent) {
+      // The status line is gone, cutting the stream short is the only signal left
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 app.get('/analytics/dashboard', async (req, res) => {
   try {
     if (!VideoAnalytics || !FileMetadata) {
       return res.status(503).json({ error: 'Analytics not available' });
     }
 
+    // Totals span every user's videos
+    if (AuthService.isEnabled && req.auth?.role !== 'admin') {
+      return res.status(403).json({ error: 'The dashboard requires an admin credential' });
+    }
+
     const totalVideos = await FileMetadata.count();
     const totalViews = await VideoAnalytics.count({ where: { eventType: 'view_start' } });
     const uniqueViewers = await VideoAnalytics.count({
@@ -1420,6 +8310,124 @@ app.get('/analytics/dashboard', async (req, res) => {
   }
 });
 
+function serializeCatalogFile(file) {
+  return {
+    id: file.id,
+    title: file.title || file.originalFileName,
+    fileName: file.fileName,
+    originalFileName: file.originalFileName,
+    filePath: file.filePath,
+    fileSize: file.fileSize,
+    duration: file.duration,
+    resolution: file.resolution,
+    is360Video: file.is360Video,
+    projection: file.projection,
+    stereoMode: file.stereoMode,
+    processingStatus: file.processingStatus,
+    tags: file.tags,
+    viewCount: file.viewCount,
+    userId: file.userId,
+    uploadedAt: file.uploadedAt,
+    thumbnailPath: file.thumbnailPath,
+    posters: Object.keys(file.posters || {}),
+    availableQualities: Object.keys(file.qualityLevels || {}),
+  };
+}
+
+// Catalog search over FileMetadata
+app.get('/files/search', async (req, res) => {
+  try {
+    if (!FileMetadata) {
+      return res.status(503).json({ error: 'Database not configured' });
+    }
+
+    const result = await CatalogSearchService.search(req.query, ownedFilesWhere(req));
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      ...result,
+      files: result.files.map(serializeCatalogFile),
+    });
+
+  } catch (error) {
+    console.error('❌ Error searching catalog:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit catalog metadata
+app.patch('/files/:fileId', async (req, res) => {
+  try {
+    if (!FileMetadata) {
+      return res.status(503).json({ error: 'Database not configured' });
+    }
+
+    const { fileId } = req.params;
+    if (!isUuid(fileId)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    const fileRecord = await FileMetadata.findByPk(fileId);
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    const { changes, error, status } = FileMetadataService.validateUpdate(fileRecord, req.body);
+    if (error) {
+      return res.status(status || 400).json({ error });
+    }
+
+    await fileRecord.update(changes);
+    console.log(`✏️ Updated metadata for ${fileId}: ${Object.keys(changes).join(', ')}`);
+
+    res.json({
+      message: 'Metadata updated',
+      file: serializeCatalogFile(fileRecord),
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating file metadata:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a video with its thumbnails, renditions and transcoding jobs
+app.delete('/files/:fileId', async (req, res) => {
+  try {
+    if (!FileMetadata) {
+      return res.status(503).json({ error: 'Database not configured' });
+    }
+
+    const { fileId } = req.params;
+    if (!isUuid(fileId)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    const fileRecord = await FileMetadata.findByPk(fileId);
+    if (!fileRecord) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (!authorizeFile(req, res, fileRecord)) return;
+
+    const result = await FileMetadataService.deleteFile(fileRecord, {
+      purgeAnalytics: req.query.purgeAnalytics === 'true',
+    });
+
+    res.json({
+      message: 'File deleted',
+      id: fileId,
+      ...result,
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting file:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Enhanced list files endpoint
 app.get('/files', async (req, res) => {
   try {
@@ -1428,14 +8436,11 @@ app.get('/files', async (req, res) => {
     const files = await storageService.listFiles(prefix, { limit: parseInt(limit), pageToken });
     
     let dbFiles = [];
-    if (FileMetadata) {
+    if (FileMetadata && files.length > 0) {
       try {
-        const whereClause = prefix ? { filePath: { [sequelize.Op.like]: `${prefix}%` } } : {};
-        
+        // Records for exactly the objects on this page, so ownership can be checked for each
         dbFiles = await FileMetadata.findAll({
-          where: whereClause,
-          order: [['uploadedAt', 'DESC']],
-          limit: parseInt(limit),
+          where: { filePath: files.map(file => file.name) },
           ...(includeAnalytics === 'true' && {
             include: [{
               model: VideoAnalytics,
@@ -1450,7 +8455,10 @@ app.get('/files', async (req, res) => {
     }
 
     // Merge cloud storage and database data
-    const mergedFiles = files.map(file => {
+    const visibleFiles = files.filter(file =>
+      AuthService.canAccessRecord(req.auth, dbFiles.find(db => db.filePath === file.name))
+    );
+    const mergedFiles = visibleFiles.map(file => {
       const dbFile = dbFiles.find(db => db.filePath === file.name);
       return {
         ...file,
@@ -1470,12 +8478,12 @@ app.get('/files', async (req, res) => {
 
     res.json({
       files: mergedFiles,
-      totalFiles: files.length,
+      totalFiles: visibleFiles.length,
       hasMore: files.length === parseInt(limit),
       summary: {
-        totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0),
-        videoCount: files.filter(f => f.contentType?.startsWith('video/')).length,
-        avgFileSize: files.length > 0 ? Math.round(files.reduce((sum, file) => sum + (file.size || 0), 0) / files.length) : 0
+        totalSize: visibleFiles.reduce((sum, file) => sum + (file.size || 0), 0),
+        videoCount: visibleFiles.filter(f => f.contentType?.startsWith('video/')).length,
+        avgFileSize: visibleFiles.length > 0 ? Math.round(visibleFiles.reduce((sum, file) => sum + (file.size || 0), 0) / visibleFiles.length) : 0
       }
     });
   } catch (error) {
@@ -1485,7 +8493,47 @@ app.get('/files', async (req, res) => {
 });
 
 // Background processing functions
-async function processVideoInBackground(fileId, filePath, quality) {
+async function finalizeDirectUpload(fileRecord, options = {}) {
+  if (fileRecord.processingStatus !== 'pending') {
+    return {
+      error: `Upload already finalized (status: ${fileRecord.processingStatus})`,
+      statusCode: 409,
+      details: { processingStatus: fileRecord.processingStatus },
+    };
+  }
+
+  const exists = await storageService.fileExists(fileRecord.filePath);
+  if (!exists) {
+    return { error: 'Uploaded object not found in storage', statusCode: 409 };
+  }
+
+  const cloudMetadata = await storageService.getFileMetadata(fileRecord.filePath);
+  const actualSize = parseInt(cloudMetadata.size);
+  const expectedSize = fileRecord.fileSize ? parseInt(fileRecord.fileSize) : null;
+  if (expectedSize && actualSize !== expectedSize) {
+    return {
+      error: 'Uploaded object size does not match the declared file size',
+      statusCode: 409,
+      details: { expectedSize, actualSize },
+    };
+  }
+
+  // Claim the record so the client callback and the storage notification cannot both process it
+  const [claimed] = await FileMetadata.update(
+    { processingStatus: 'processing', fileSize: actualSize },
+    { where: { id: fileRecord.id, processingStatus: 'pending' } }
+  );
+  if (claimed === 0) {
+    return { error: 'Upload already finalized', statusCode: 409 };
+  }
+
+  const qualities = options.quality ? parseQualityList(options.quality) : (fileRecord.requestedQualities || []);
+  processVideoInBackground(fileRecord.id, fileRecord.filePath, qualities);
+
+  return { fileSize: actualSize, qualities };
+}
+
+async function processVideoInBackground(fileId, filePath, qualities = [], options = {}) {
   try {
     console.log(`🔄 Starting background processing for file: ${fileId}`);
     
@@ -1494,20 +8542,27 @@ async function processVideoInBackground(fileId, filePath, quality) {
     const fileRecord = await FileMetadata.findByPk(fileId);
     if (!fileRecord) return;
 
+    // Deleting the file doesn't stop this function, so it checks between steps that the row is still there
+    const deleted = async () => {
+      if (await FileMetadata.count({ where: { id: fileId } }) > 0) return false;
+      console.log(`🗑️ File ${fileId} was deleted, stopping background processing`);
+      return true;
+    };
+
     await fileRecord.update({ processingStatus: 'processing' });
 
-    // Generate signed URL for processing
-    const signedUrl = await storageService.generateSignedUrl(filePath, {
-      action: 'read',
+    // Source ffmpeg can read for processing
+    const signedUrl = await storageService.getReadableSource(filePath, {
       expiresInMinutes: 120, // 2 hours for processing
     });
 
-    // Extract metadata if not already done
-    if (!fileRecord.duration) {
+    // Extract metadata if not already done, or finish the layout detection the upload skipped
+    if (!fileRecord.duration || options.analyzeLayout) {
       try {
         const metadata = await VideoProcessingService.extractMetadata(signedUrl);
-        const video360Detection = VideoProcessingService.detect360Video(metadata);
-        
+        const video360Detection = await VideoProcessingService.detectLayout(signedUrl, metadata);
+        if (await deleted()) return;
+
         await fileRecord.update({
           duration: metadata.duration,
           resolution: metadata.resolution,
@@ -1516,6 +8571,8 @@ async function processVideoInBackground(fileId, filePath, quality) {
           codec: metadata.codec,
           is360Video: video360Detection.is360Video,
           projection: video360Detection.projection,
+          stereoMode: video360Detection.stereoMode,
+          sphericalMetadata: metadata.spherical,
         });
       } catch (metadataError) {
         console.error('Failed to extract metadata:', metadataError);
@@ -1527,7 +8584,11 @@ async function processVideoInBackground(fileId, filePath, quality) {
       const thumbnailPath = filePath.replace(/\.[^/.]+$/, '_thumbnail.jpg');
       const tempThumbnailPath = `/tmp/${path.basename(thumbnailPath)}`;
       
-      await VideoProcessingService.generateThumbnail(signedUrl, tempThumbnailPath);
+      await VideoProcessingService.generateThumbnail(signedUrl, tempThumbnailPath, '00:00:05', {
+        is360Video: fileRecord.is360Video,
+        projection: fileRecord.projection,
+        stereoMode: fileRecord.stereoMode,
+      });
       
       const thumbnailData = await fs.readFile(tempThumbnailPath);
       await storageService.uploadFile({
@@ -1535,15 +8596,38 @@ async function processVideoInBackground(fileId, filePath, quality) {
         name: path.basename(thumbnailPath),
         mimetype: 'image/jpeg'
       }, thumbnailPath);
-      
-      await fileRecord.update({ thumbnailPath });
       await fs.unlink(tempThumbnailPath).catch(() => {});
+
+      // The storage cleanup may already have run, so the thumbnail would be left behind
+      if (await deleted()) {
+        await storageService.deleteFile(thumbnailPath).catch(() => {});
+        return;
+      }
+
+      await fileRecord.update({ thumbnailPath });
       
       console.log(`✅ Generated thumbnail for: ${fileId}`);
     } catch (thumbnailError) {
       console.error('Failed to generate thumbnail:', thumbnailError);
     }
 
+    if (await deleted()) return;
+
+    // Queue the requested quality ladder
+    if (TranscodingJob && qualities.length > 0) {
+      for (const quality of qualities) {
+        if (fileRecord.qualityLevels && fileRecord.qualityLevels[quality]) continue;
+        try {
+          const { job } = await transcodingQueue.add(fileRecord, quality);
+          console.log(`🎞️ Queued ${quality} transcode for ${fileId}: ${job.id}`);
+        } catch (transcodeError) {
+          console.error(`Failed to queue ${quality} transcode:`, transcodeError);
+        }
+      }
+    }
+
+    if (await deleted()) return;
+
     await fileRecord.update({ 
       processingStatus: 'completed',
       isProcessed: true 
@@ -1563,39 +8647,176 @@ async function processVideoInBackground(fileId, filePath, quality) {
   }
 }
 
-async function processTranscodingJob(jobId) {
-  try {
-    if (!TranscodingJob || !FileMetadata) return;
+async function completeTranscodingJob(jobId, outputPath) {
+  // Only complete jobs that were not cancelled while finishing up
+  await TranscodingJob.update({
+    status: 'completed',
+    outputPath,
+    progress: 100,
+    fps: null,
+    etaSeconds: 0,
+    errorMessage: null,
+    completedAt: new Date()
+  }, { where: { id: jobId, status: 'processing' } });
+  transcodeEvents.emit(jobId, { id: jobId, status: 'completed', progress: 100, etaSeconds: 0 });
+
+  console.log(`✅ Completed transcoding job: ${jobId}`);
+}
 
-    const job = await TranscodingJob.findByPk(jobId, {
-      include: [{ model: FileMetadata }]
+// Packaging and uploads fill the progress left after encoding, one step at a time. The last
+// step stops short of 100, only completeTranscodingJob reports a finished job.
+function packagingProgress(jobId, steps) {
+  const encodeShare = 100 * TRANSCODE_PROGRESS_SHARE;
+  let done = 0;
+
+  return async () => {
+    done++;
+    const update = {
+      progress: Math.round((encodeShare + (100 - encodeShare) * done / (steps + 1)) * 10) / 10,
+      fps: null,
+      etaSeconds: null,
+      heartbeatAt: new Date(),
+    };
+
+    transcodeEvents.emit(jobId, { id: jobId, status: 'processing', ...update });
+    await TranscodingJob.update(update, { where: { id: jobId, status: 'processing' } })
+      .catch(error => console.error(`⚠️ Failed to save progress for transcoding job ${jobId}:`, error.message));
+  };
+}
+
+async function processTiledJob(job, inputFile, inputSignedUrl, { signal, onProgress }) {
+  const grid = VideoProcessingService.parseTileGrid(job.tileGrid);
+  const directory = inputFile.filePath.replace(/\.[^/.]+$/, '_tiles');
+  const tempDir = `/tmp/tiles-${job.id}`;
+
+  try {
+    const sourceMetadata = await VideoProcessingService.extractMetadata(inputSignedUrl);
+    const encoded = await VideoProcessingService.encodeTiles(inputSignedUrl, tempDir, job.targetQuality, grid, {
+      signal,
+      onProgress,
+      hasAudio: sourceMetadata.hasAudio,
     });
 
-    if (!job || !job.FileMetadata) {
-      console.error(`Transcoding job ${jobId} not found`);
-      return;
+    // Every tile and the audio track are packaged, then uploaded
+    const completeStep = packagingProgress(job.id, 2 * (encoded.tiles.length + (encoded.audioPath ? 1 : 0)));
+
+    let segmentCount = 0;
+    for (const tile of encoded.tiles) {
+      signal?.throwIfAborted();
+      const packageDir = path.join(tempDir, 'hls', tile.name);
+      await VideoProcessingService.packageHls(tile.path, packageDir);
+      await completeStep();
+      const uploaded = await uploadDirectory(packageDir, `${directory}/${job.targetQuality}/${tile.name}`);
+      segmentCount = uploaded.filter(file => file.endsWith('.ts')).length;
+      await completeStep();
     }
 
-    console.log(`🔄 Starting transcoding job: ${jobId}`);
+    let audio = null;
+    if (encoded.audioPath) {
+      const packageDir = path.join(tempDir, 'hls', 'audio');
+      await VideoProcessingService.packageHls(encoded.audioPath, packageDir);
+      await completeStep();
+      await uploadDirectory(packageDir, `${directory}/audio`);
+      await completeStep();
+      audio = { directory: `${directory}/audio`, playlist: `${directory}/audio/${HLS_PLAYLIST_NAME}` };
+    }
 
-    await job.update({ 
-      status: 'processing', 
-      startedAt: new Date() 
-    });
+    signal?.throwIfAborted();
+
+    await inputFile.reload();
+    const tiling = { grid, directory, qualities: {}, ...(inputFile.tiling || {}) };
+    tiling.qualities = {
+      ...tiling.qualities,
+      [job.targetQuality]: {
+        tileWidth: encoded.tileWidth,
+        tileHeight: encoded.tileHeight,
+        bandwidth: parseInt(encoded.bitrate) * 1000,
+        segmentCount,
+        createdAt: new Date().toISOString(),
+      },
+    };
+    if (audio) tiling.audio = audio;
+
+    await inputFile.update({ tiling });
+    await completeTranscodingJob(job.id, `${directory}/${job.targetQuality}`);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
 
-    const inputFile = job.FileMetadata;
-    const outputPath = inputFile.filePath.replace(/\.[^/.]+$/, `_${job.targetQuality}.mp4`);
+async function processTranscodingJob(jobId, { signal } = {}) {
+  const job = await TranscodingJob.findByPk(jobId, {
+    include: [{ model: FileMetadata }]
+  });
 
-    // Generate signed URLs
-    const inputSignedUrl = await storageService.generateSignedUrl(inputFile.filePath, {
-      action: 'read',
-      expiresInMinutes: 240, // 4 hours for transcoding
-    });
+  if (!job || !job.FileMetadata) {
+    throw new Error(`Transcoding job ${jobId} not found`);
+  }
+
+  console.log(`🔄 Starting transcoding job: ${jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  const inputFile = job.FileMetadata;
+  const renditionKey = VideoProcessingService.renditionKey(job.targetQuality, job.targetProjection);
+  const outputPath = inputFile.filePath.replace(/\.[^/.]+$/, `_${renditionKey}.mp4`);
+  const projection = job.targetProjection
+    ? { from: inputFile.projection, to: job.targetProjection, ...(job.projectionOptions || {}) }
+    : null;
+
+  // Source ffmpeg can read for transcoding
+  const inputSignedUrl = await storageService.getReadableSource(inputFile.filePath, {
+    expiresInMinutes: 240, // 4 hours for transcoding
+  });
+
+  const tempOutputPath = `/tmp/${job.id}-${path.basename(outputPath)}`;
+
+  // Persist progress at most every few seconds, ffmpeg reports it many times per second
+  const encodeStartedAt = Date.now();
+  let lastProgressSave = 0;
+  const onProgress = (progressInfo) => {
+    const now = Date.now();
+    if (now - lastProgressSave < TRANSCODE_PROGRESS_INTERVAL_MS) return;
+    lastProgressSave = now;
+
+    const percent = Math.min(Math.max(progressInfo.percent || 0, 0), 100);
+    const elapsedSeconds = (now - encodeStartedAt) / 1000;
+    const update = {
+      progress: Math.round(percent * TRANSCODE_PROGRESS_SHARE * 10) / 10,
+      fps: progressInfo.currentFps || null,
+      etaSeconds: percent > 0 ? Math.round(elapsedSeconds * (100 - percent) / percent) : null,
+      heartbeatAt: new Date(),
+    };
+
+    transcodeEvents.emit(jobId, { id: jobId, status: 'processing', ...update });
+    TranscodingJob.update(update, { where: { id: jobId, status: 'processing' } })
+      .catch(error => console.error(`⚠️ Failed to save progress for transcoding job ${jobId}:`, error.message));
+  };
 
-    const tempOutputPath = `/tmp/${path.basename(outputPath)}`;
+  if (job.tileGrid) {
+    await processTiledJob(job, inputFile, inputSignedUrl, { signal, onProgress });
+    return;
+  }
 
+  try {
     // Transcode video
-    await VideoProcessingService.transcodeVideo(inputSignedUrl, tempOutputPath, job.targetQuality);
+    await VideoProcessingService.transcodeVideo(inputSignedUrl, tempOutputPath, job.targetQuality, {
+      signal,
+      onProgress,
+      stereoMode: inputFile.stereoMode,
+      projection,
+    });
+
+    // Players only treat the rendition as 360° when it carries spherical metadata
+    const outputProjection = job.targetProjection || inputFile.projection;
+    const spherical = SphericalMetadataService.forFile(inputFile, outputProjection);
+    const formats = job.outputFormats && job.outputFormats.length > 0 ? job.outputFormats : STREAMING_FORMATS;
+
+    // Metadata injection, the MP4 upload, then packaging and uploading each streaming format
+    const completeStep = packagingProgress(jobId, (spherical ? 1 : 0) + 1 + 2 * formats.length);
+
+    if (spherical) {
+      await SphericalMetadataService.injectFile(tempOutputPath, spherical);
+      await completeStep();
+    }
 
     // Upload transcoded video
     const transcodedData = await fs.readFile(tempOutputPath);
@@ -1604,41 +8825,70 @@ async function processTranscodingJob(jobId) {
       name: path.basename(outputPath),
       mimetype: 'video/mp4'
     }, outputPath);
+    await completeStep();
+
+    // Segment the rendition for each requested adaptive streaming format
+    const renditionMetadata = await VideoProcessingService.extractMetadata(tempOutputPath);
+    const packages = {};
+
+    for (const format of formats) {
+      signal?.throwIfAborted();
+
+      const directory = inputFile.filePath.replace(/\.[^/.]+$/, `_${format}/${renditionKey}`);
+      const tempPackageDir = `/tmp/${format}-${job.id}`;
+
+      try {
+        await VideoProcessingService.packageRendition(format, tempOutputPath, tempPackageDir, {
+          hasAudio: renditionMetadata.hasAudio,
+        });
+        await completeStep();
+        const uploaded = await uploadDirectory(tempPackageDir, directory);
+        await completeStep();
+
+        packages[format] = format === 'hls'
+          ? {
+            directory,
+            playlist: `${directory}/${HLS_PLAYLIST_NAME}`,
+            segmentCount: uploaded.filter(file => file.endsWith('.ts')).length,
+          }
+          : {
+            directory,
+            manifest: `${directory}/${DASH_MANIFEST_NAME}`,
+            initSegment: `${directory}/init-0.m4s`,
+            hasAudio: renditionMetadata.hasAudio,
+            segmentCount: uploaded.filter(file => /chunk-0-\d+\.m4s$/.test(file)).length,
+          };
+      } finally {
+        await fs.rm(tempPackageDir, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+
+    signal?.throwIfAborted();
 
     // Update quality levels in file metadata
-    const qualityLevels = inputFile.qualityLevels || {};
-    qualityLevels[job.targetQuality] = {
+    await inputFile.reload();
+    const stereoMode = inputFile.stereoMode || 'mono';
+    const settings = VideoProcessingService.getOutputSettings(job.targetQuality, stereoMode, job.targetProjection);
+    const qualityLevels = { ...(inputFile.qualityLevels || {}) };
+    qualityLevels[renditionKey] = {
+      quality: job.targetQuality,
       path: outputPath,
+      resolution: `${settings.width}x${settings.height}`,
+      bandwidth: (parseInt(settings.bitrate) + AUDIO_BITRATE_KBPS) * 1000,
+      codecs: VideoProcessingService.h264CodecString(VideoProcessingService.h264Level(settings.width, settings.height)),
+      stereoMode,
+      projection: outputProjection,
+      spherical: spherical ? spherical.projection : null,
+      duration: renditionMetadata.duration,
+      ...packages,
       createdAt: new Date().toISOString()
     };
 
     await inputFile.update({ qualityLevels });
-
-    await job.update({
-      status: 'completed',
-      outputPath,
-      progress: 100,
-      completedAt: new Date()
-    });
-
+    await completeTranscodingJob(jobId, outputPath);
+  } finally {
     // Clean up temp file
     await fs.unlink(tempOutputPath).catch(() => {});
-
-    console.log(`✅ Completed transcoding job: ${jobId}`);
-
-  } catch (error) {
-    console.error(`❌ Transcoding job ${jobId} failed:`, error);
-    
-    if (TranscodingJob) {
-      await TranscodingJob.update(
-        { 
-          status: 'failed', 
-          errorMessage: error.message,
-          completedAt: new Date()
-        },
-        { where: { id: jobId } }
-      );
-    }
   }
 }
 
@@ -1652,6 +8902,7 @@ app.get('/db/files', async (req, res) => {
     const { includeAnalytics = false } = req.query;
     
     const files = await FileMetadata.findAll({
+      where: ownedFilesWhere(req),
       order: [['uploadedAt', 'DESC']],
       ...(includeAnalytics === 'true' && {
         include: [{
@@ -1687,60 +8938,171 @@ app.use((req, res) => {
       'GET /health',
       'GET /',
       'POST /sessions/create',
+      'POST /sessions/:sessionId/heartbeat',
+      'POST /sessions/:sessionId/end',
+      'GET /sessions/stats',
+      'GET /rooms/:code',
+      'POST /auth/device/code',
+      'POST /auth/device/token',
+      'POST /auth/device/approve',
       'POST /files/upload',
       'POST /files/generate-upload-url',
+      'POST /files/:fileId/complete',
+      'POST /files/tus',
+      'HEAD /files/tus/:uploadId',
+      'PATCH /files/tus/:uploadId',
       'GET /files/:fileName/metadata',
       'GET /files/:fileName/stream',
       'GET /files/:fileName/signed-url',
+      'GET /files/:fileName/manifest.m3u8',
+      'GET /files/:fileName/manifest.mpd',
+      'POST /files/:fileName/tiles',
+      'GET /files/:fileName/tiles/manifest.json',
       'POST /files/:fileName/transcode',
+      'GET /transcode/:jobId/status',
+      'GET /transcode/:jobId/events',
+      'POST /transcode/:jobId/cancel',
       'POST /files/:fileName/thumbnail',
+      'GET /files/:fileName/posters',
       'POST /analytics/track',
-      'GET /analytics/files/:fileId/stats'
+      'POST /analytics/batch',
+      'GET /analytics/files/:fileId/stats',
+      'POST /analytics/orientation',
+      'GET /analytics/files/:fileId/heatmap',
+      'GET /analytics/files/:fileId/qoe',
+      'GET /analytics/files/:fileId/retention',
+      'GET /analytics/qoe',
+      'GET /analytics/timeseries',
+      'GET /analytics/export/:dataset',
+      'GET /files/search',
+      'PATCH /files/:fileId',
+      'DELETE /files/:fileId',
+      'GET /users/:userId/continue-watching',
+      'GET /users/:userId/positions/:fileId',
+      'PUT /users/:userId/positions/:fileId'
     ]
   });
 });
 
+// Analytics export from the command line:
+//   node server.js export <events|sessions|file-stats> [--format csv|ndjson]
+//     [--from ISO] [--to ISO] [--anonymize-ip] [--output path]
+async function runExportCli(args) {
+  const [dataset, ...flags] = args;
+  const options = {};
+  for (let i = 0; i < flags.length; i++) {
+    const flag = flags[i].replace(/^--/, '');
+    options[flag] = flag === 'anonymize-ip' ? true : flags[++i];
+  }
+
+  try {
+    if (!sequelize) {
+      throw new Error('Exports need a database, set DB_HOST');
+    }
+
+    if (!(dataset in AnalyticsExportService.datasets)) {
+      throw new Error(`Unknown dataset "${dataset}", use one of ${Object.keys(AnalyticsExportService.datasets).join(', ')}`);
+    }
+
+    const format = options.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`--format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from ? new Date(options.from) : new Date(to.getTime() - EXPORT_DEFAULT_RANGE_MS);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      throw new Error('--from and --to must be ISO dates with --from before --to');
+    }
+
+    await sequelize.authenticate();
+
+    const output = options.output ? createWriteStream(options.output) : process.stdout;
+    const count = await AnalyticsExportService.writeExport(output, dataset, {
+      format,
+      from,
+      to,
+      anonymizeIp: !!options['anonymize-ip'],
+    });
+
+    if (options.output) {
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+    }
+
+    console.error(`📤 Exported ${count} ${dataset} rows as ${format}`);
+    await sequelize.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Export failed:', error.message);
+    process.exit(1);
+  }
+}
+
 // Database connection and server startup
 async function startServer() {
+  if (!AuthService.isEnabled) {
+    console.log('⚠️ No JWT_SECRET or API_KEYS configured, every route is open');
+  }
+
   try {
     if (sequelize) {
       console.log('🔍 Testing database connection...');
       await sequelize.authenticate();
       await sequelize.sync({ alter: true });
       console.log('📊 Database models synchronized');
+
+      await transcodingQueue.recoverOrphanedJobs();
+      transcodingQueue.start();
+
+      setInterval(cleanupExpiredUploads, 60 * 60 * 1000);
+
+      setInterval(() => SessionService.expireIdleSessions(), SESSION_SWEEP_INTERVAL_MS);
+
+      AnalyticsRollupService.refresh();
+      setInterval(() => AnalyticsRollupService.refresh(), ANALYTICS_ROLLUP_INTERVAL_MS);
     } else {
       console.log('⚠️ No database configured, running without database features');
     }
     
-    app.listen(PORT, '0.0.0.0', () => {
+    const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 DuoVR Server v2.0 running on port ${PORT}`);
       console.log(`📱 Health check: http://localhost:${PORT}/health`);
-      console.log(`🪣 Using bucket: ${process.env.GOOGLE_CLOUD_BUCKET_NAME || 'not configured'}`);
+      console.log(`🪣 Using ${storageService.driverName} storage: ${storageService.bucketName}`);
       console.log(`📏 Max file size: 8GB`);
-      console.log(`🎬 Features: Streaming, Transcoding, Analytics, Thumbnails`);
+      console.log(`🎬 Features: Streaming, Transcoding, Analytics, Thumbnails, Watch Rooms`);
     });
+    watchRooms.attach(server);
   } catch (error) {
     console.error('❌ Database connection failed, but starting server anyway:', error.message);
     
-    app.listen(PORT, '0.0.0.0', () => {
+    const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 DuoVR Server v2.0 running on port ${PORT} (database connection failed)`);
       console.log(`📱 Health check: http://localhost:${PORT}/health`);
-      console.log(`🪣 Using bucket: ${process.env.GOOGLE_CLOUD_BUCKET_NAME || 'not configured'}`);
+      console.log(`🪣 Using ${storageService.driverName} storage: ${storageService.bucketName}`);
     });
+    watchRooms.attach(server);
   }
 }
 
-startServer();
+if (CLI_COMMAND === 'export') {
+  runExportCli(process.argv.slice(3));
+} else {
+  startServer();
+}
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Received SIGINT, shutting down gracefully...');
+  await transcodingQueue.stop();
+  watchRooms.stop();
   if (sequelize) await sequelize.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
+  await transcodingQueue.stop();
+  watchRooms.stop();
   if (sequelize) await sequelize.close();
   process.exit(0);
 });
\ No newline at end of file